@@ -7,12 +7,14 @@ import { Extension } from 'resource:///org/gnome/shell/extensions/extension.js';
 import * as Main from 'resource:///org/gnome/shell/ui/main.js';
 
 import { KiwiMenu } from './src/kiwimenu.js';
+import { migrateCustomItemIds } from './src/menuLayout.js';
 import { QuickSettingsActionsController } from './src/hideQSbuttons.js';
 import { UserSwitcherController } from './src/userSwitcher.js';
 
 export default class KiwiMenuExtension extends Extension {
   enable() {
     this._settings = this.getSettings();
+    migrateCustomItemIds(this._settings);
     this._indicator = new KiwiMenu(this._settings, this.path, this);
     Main.panel.addToStatusArea('KiwiMenuButton', this._indicator, 0, 'left');
 
@@ -10,7 +10,23 @@ import GLib from 'gi://GLib';
 import GObject from 'gi://GObject';
 import Gtk from 'gi://Gtk';
 
-import { ExtensionPreferences, gettext as _ } from 'resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js';
+import { ExtensionPreferences, gettext as _, ngettext } from 'resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js';
+
+import {
+  CUSTOM_ITEM_POSITION_BOTTOM,
+  CUSTOM_ITEM_POSITION_TOP,
+  LAYOUT_SETTING_KEY,
+  SUBMENU_CHILD_TYPES,
+  createItemId,
+  migrateCustomItemIds,
+  parseLaunchTarget,
+  readCustomItems,
+  readLayout,
+  resetLayout,
+  writeCustomItems,
+  writeLayout,
+} from './src/menuLayout.js';
+import { createItemForUri } from './src/xbel.js';
 
 function loadIconsMetadata(sourcePath) {
   const textDecoder = new TextDecoder();
@@ -31,6 +47,357 @@ function loadIconsMetadata(sourcePath) {
   }
 }
 
+const CONFIRM_ACTIONS_SETTING_KEY = 'confirm-actions';
+
+function getSessionActionLabels(gettextFunc) {
+  return {
+    suspend: gettextFunc('Sleep'),
+    hibernate: gettextFunc('Hibernate'),
+    'hybrid-sleep': gettextFunc('Hybrid Sleep'),
+    reboot: gettextFunc('Restart'),
+    'power-off': gettextFunc('Shut Down'),
+    logout: gettextFunc('Log Out'),
+    lock: gettextFunc('Lock Screen'),
+  };
+}
+
+const RECENT_SECTIONS_SETTING_KEY = 'recent-sections';
+const RECENT_APPLICATION_SORT_MODES = ['usage', 'recent'];
+const PINNED_DOCUMENTS_SETTING_KEY = 'recent-pinned-documents';
+const PINNED_APPLICATIONS_SETTING_KEY = 'recent-pinned-applications';
+const RECENT_PRIVACY_MODES = ['off', 'hide-documents', 'blur-titles'];
+const TOOLTIP_PLACEMENTS = ['above', 'below', 'beside'];
+
+function parseListText(text) {
+  return text
+    .split(',')
+    .map((value) => value.trim())
+    .filter((value) => value.length > 0);
+}
+
+function getRecentSectionLabels(gettextFunc) {
+  return {
+    applications: gettextFunc('Applications'),
+    documents: gettextFunc('Documents'),
+    folders: gettextFunc('Folders'),
+    servers: gettextFunc('Servers'),
+  };
+}
+
+const EDITABLE_LAYOUT_TYPES = ['menu', 'recent-items', 'submenu', 'restart-into', 'schedule'];
+// Entry types that only carry a title (and an icon) of their own.
+const TITLED_LAYOUT_TYPES = ['recent-items', 'submenu', 'restart-into', 'schedule'];
+// Entry types that can be added to the top level of the menu.
+const NEW_LAYOUT_TYPES = ['menu', 'separator', 'recent-items', 'submenu', 'custom'];
+
+function formatCommand(cmds) {
+  if (!Array.isArray(cmds)) {
+    return '';
+  }
+
+  return cmds
+    .map((arg) => (/[\s'"\\]/.test(arg) ? GLib.shell_quote(arg) : arg))
+    .join(' ');
+}
+
+function formatLayoutTarget(item) {
+  return item?.app ?? item?.uri ?? formatCommand(item?.cmds);
+}
+
+function parseLayoutTarget(text) {
+  const target = parseLaunchTarget(text);
+
+  switch (target?.kind) {
+    case 'application':
+      return { app: target.appId };
+    case 'uri':
+      return { uri: target.uri };
+    case 'command':
+      try {
+        const [success, argv] = GLib.shell_parse_argv(target.commandLine);
+        return success && argv.length > 0 ? { cmds: argv } : null;
+      } catch (_error) {
+        return null;
+      }
+    default:
+      return null;
+  }
+}
+
+function isValidShortcut(keyval, mask) {
+  if (!Gtk.accelerator_valid(keyval, mask)) {
+    return false;
+  }
+
+  // Plain or shifted printable keys would break typing.
+  const onlyShift = mask === 0 || mask === Gdk.ModifierType.SHIFT_MASK;
+  return !(onlyShift && Gdk.keyval_to_unicode(keyval) !== 0);
+}
+
+// Schemas whose `as` keys hold the keybindings of the desktop.
+const KEYBINDING_SCHEMAS = [
+  'org.gnome.desktop.wm.keybindings',
+  'org.gnome.shell.keybindings',
+  'org.gnome.mutter.keybindings',
+  'org.gnome.mutter.wayland.keybindings',
+  'org.gnome.settings-daemon.plugins.media-keys',
+];
+const CUSTOM_KEYBINDING_SCHEMA = 'org.gnome.settings-daemon.plugins.media-keys.custom-keybinding';
+
+function normalizeAccelerator(accelerator) {
+  if (!accelerator) {
+    return null;
+  }
+
+  const [success, keyval, mods] = Gtk.accelerator_parse(accelerator);
+  if (!success || keyval === 0) {
+    return null;
+  }
+
+  return `${Gdk.keyval_to_lower(keyval)}:${mods & Gtk.accelerator_get_default_mod_mask()}`;
+}
+
+/**
+ * Holds the shortcuts of the desktop. They are read once and read again
+ * whenever one of the keybinding settings changes.
+ */
+class SystemShortcuts {
+  constructor() {
+    this._watched = [];
+    this._shortcuts = [];
+    this._load();
+  }
+
+  get shortcuts() {
+    return this._shortcuts;
+  }
+
+  destroy() {
+    this._unwatch();
+  }
+
+  _watch(settings) {
+    const signalId = settings.connect('changed', () => this._load());
+    this._watched.push({ settings, signalId });
+  }
+
+  _unwatch() {
+    this._watched.forEach(({ settings, signalId }) => settings.disconnect(signalId));
+    this._watched = [];
+  }
+
+  _load() {
+    this._unwatch();
+    this._shortcuts = [];
+
+    const schemaSource = Gio.SettingsSchemaSource.get_default();
+    if (!schemaSource) {
+      return;
+    }
+
+    for (const schemaId of KEYBINDING_SCHEMAS) {
+      const schema = schemaSource.lookup(schemaId, true);
+      if (!schema) {
+        continue;
+      }
+
+      const settings = new Gio.Settings({ settings_schema: schema });
+      this._watch(settings);
+      for (const key of schema.list_keys()) {
+        const schemaKey = schema.get_key(key);
+        if (key === 'custom-keybindings' || schemaKey.get_value_type().dup_string() !== 'as') {
+          continue;
+        }
+
+        const label = schemaKey.get_summary() || key;
+        settings.get_strv(key).forEach((accelerator) => this._shortcuts.push({ accelerator, label }));
+      }
+
+      if (schema.has_key('custom-keybindings') && schemaSource.lookup(CUSTOM_KEYBINDING_SCHEMA, true)) {
+        for (const path of settings.get_strv('custom-keybindings')) {
+          const custom = Gio.Settings.new_with_path(CUSTOM_KEYBINDING_SCHEMA, path);
+          this._watch(custom);
+          this._shortcuts.push({
+            accelerator: custom.get_string('binding'),
+            label: custom.get_string('name') || custom.get_string('command'),
+          });
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Lists the shortcuts grabbed by Kiwi Menu itself. Each entry carries a
+ * `source` so the shortcut being edited can be left out.
+ */
+function collectExtensionShortcuts(settings, sourcePath, gettextFunc) {
+  const shortcuts = settings.get_strv('toggle-menu-shortcut').map((accelerator) => ({
+    accelerator,
+    label: gettextFunc('Open Kiwi Menu'),
+    source: 'toggle',
+  }));
+
+  const collectItems = (items, prefix) => {
+    items.forEach((item, index) => {
+      const source = `${prefix}${index}`;
+      if (item.hidden) {
+        return;
+      }
+
+      if (item.type === 'submenu') {
+        collectItems(item.items, `${source}/`);
+      } else if (item.accelerator) {
+        shortcuts.push({
+          accelerator: item.accelerator,
+          label: item.title ? gettextFunc(item.title) : item.app,
+          source,
+        });
+      }
+    });
+  };
+  collectItems(readLayout(settings, sourcePath), '');
+
+  return shortcuts;
+}
+
+/**
+ * Finds a shortcut of the desktop or of Kiwi Menu using the same keys.
+ *
+ * @param {string} accelerator - The accelerator to check
+ * @param {Array<object>} extensionShortcuts - Kiwi Menu shortcuts to check
+ * @param {SystemShortcuts} systemShortcuts - The desktop shortcuts
+ * @returns {string|null} The name of the conflicting shortcut
+ */
+function findShortcutConflict(accelerator, extensionShortcuts, systemShortcuts) {
+  const wanted = normalizeAccelerator(accelerator);
+  if (!wanted) {
+    return null;
+  }
+
+  const conflict = [...extensionShortcuts, ...systemShortcuts.shortcuts].find(
+    (shortcut) => normalizeAccelerator(shortcut.accelerator) === wanted
+  );
+  return conflict?.label ?? null;
+}
+
+const ShortcutRow = GObject.registerClass(
+  class ShortcutRow extends Adw.ActionRow {
+    constructor({ title, subtitle = '', accelerator = '', gettextFunc, onChanged, findConflict = null }) {
+      super({
+        title,
+        subtitle,
+        activatable: true,
+      });
+
+      this._ = gettextFunc;
+      this._subtitle = subtitle;
+      this._onChanged = onChanged;
+      this._findConflict = findConflict;
+
+      this._conflictIcon = new Gtk.Image({
+        icon_name: 'dialog-warning-symbolic',
+        css_classes: ['warning'],
+        valign: Gtk.Align.CENTER,
+        visible: false,
+      });
+      this.add_suffix(this._conflictIcon);
+
+      this._shortcutLabel = new Gtk.ShortcutLabel({
+        disabled_text: this._('Disabled'),
+        valign: Gtk.Align.CENTER,
+      });
+      this.add_suffix(this._shortcutLabel);
+
+      this._clearButton = new Gtk.Button({
+        icon_name: 'edit-clear-symbolic',
+        has_frame: false,
+        tooltip_text: this._('Clear Shortcut'),
+        valign: Gtk.Align.CENTER,
+      });
+      this._clearButton.add_css_class?.('circular');
+      this._clearButton.connect('clicked', () => this._setAndNotify(''));
+      this.add_suffix(this._clearButton);
+
+      this.connect('activated', () => this._openCaptureDialog());
+
+      this.setAccelerator(accelerator);
+    }
+
+    setAccelerator(accelerator) {
+      this._accelerator = accelerator ?? '';
+      this._shortcutLabel.set_accelerator(this._accelerator);
+      this._clearButton.set_visible(this._accelerator.length > 0);
+      this._syncConflict();
+    }
+
+    _syncConflict() {
+      const conflict = this._accelerator && this._findConflict
+        ? this._findConflict(this._accelerator)
+        : null;
+
+      this._conflictIcon.set_visible(Boolean(conflict));
+      this.set_subtitle(
+        conflict
+          ? GLib.markup_escape_text(this._('Conflicts with “%s”').format(conflict), -1)
+          : this._subtitle
+      );
+    }
+
+    _setAndNotify(accelerator) {
+      this.setAccelerator(accelerator);
+      this._onChanged?.(this._accelerator);
+    }
+
+    _openCaptureDialog() {
+      const dialog = new Adw.Dialog({
+        content_width: 360,
+        title: this._('Set Shortcut'),
+      });
+
+      const toolbarView = new Adw.ToolbarView();
+      toolbarView.add_top_bar(new Adw.HeaderBar());
+
+      const statusPage = new Adw.StatusPage({
+        icon_name: 'preferences-desktop-keyboard-shortcuts-symbolic',
+        title: this.get_title(),
+        description: this._('Press a key combination, Escape to cancel or Backspace to disable.'),
+      });
+      statusPage.add_css_class?.('compact');
+      toolbarView.set_content(statusPage);
+      dialog.set_child(toolbarView);
+
+      const keyController = new Gtk.EventControllerKey();
+      keyController.connect('key-pressed', (_controller, keyval, keycode, state) => {
+        let mask = state & Gtk.accelerator_get_default_mod_mask();
+        mask &= ~Gdk.ModifierType.LOCK_MASK;
+
+        if (mask === 0 && keyval === Gdk.KEY_Escape) {
+          dialog.close();
+          return Gdk.EVENT_STOP;
+        }
+
+        if (mask === 0 && keyval === Gdk.KEY_BackSpace) {
+          this._setAndNotify('');
+          dialog.close();
+          return Gdk.EVENT_STOP;
+        }
+
+        if (!isValidShortcut(keyval, mask)) {
+          return Gdk.EVENT_STOP;
+        }
+
+        this._setAndNotify(Gtk.accelerator_name_with_keycode(null, keyval, keycode, mask));
+        dialog.close();
+        return Gdk.EVENT_STOP;
+      });
+      dialog.add_controller(keyController);
+
+      dialog.present(this.get_root());
+    }
+  }
+);
+
 const OptionsPage = GObject.registerClass(
   class OptionsPage extends Adw.PreferencesPage {
     constructor(settings, sourcePath, gettextFunc) {
@@ -42,6 +409,8 @@ const OptionsPage = GObject.registerClass(
 
       this._settings = settings;
       this._ = gettextFunc;
+      this._systemShortcuts = new SystemShortcuts();
+      this.connect('destroy', () => this._systemShortcuts.destroy());
 
       const icons = loadIconsMetadata(sourcePath);
 
@@ -62,6 +431,27 @@ const OptionsPage = GObject.registerClass(
 
       menuGroup.add(iconSelectorRow);
 
+      const showIconsSwitch = new Gtk.Switch({
+        valign: Gtk.Align.CENTER,
+        active: this._settings.get_boolean('show-menu-icons'),
+      });
+
+      const showIconsRow = new Adw.ActionRow({
+        title: this._('Show Menu Icons'),
+        subtitle: this._('Display icons next to menu entries. Turn off for a pure macOS look.'),
+        activatable_widget: showIconsSwitch,
+      });
+      showIconsRow.add_suffix(showIconsSwitch);
+
+      this._settings.bind(
+        'show-menu-icons',
+        showIconsSwitch,
+        'active',
+        Gio.SettingsBindFlags.DEFAULT
+      );
+
+      menuGroup.add(showIconsRow);
+
       const defaultAppStoreCommand = 'gnome-software';
       const appStoreCommandRow = new Adw.EntryRow({
         title: this._('App Store Command'),
@@ -143,216 +533,112 @@ const OptionsPage = GObject.registerClass(
 
       menuGroup.add(appStoreCommandRow);
 
-      // Custom menu item section - using ExpanderRow
-      const customMenuExpanderRow = new Adw.ExpanderRow({
-        title: this._('Custom Menu Item'),
-        subtitle: this._('Add a custom menu entry with your own label and command.'),
-        show_enable_switch: true,
-        enable_expansion: this._settings.get_boolean('custom-menu-enabled'),
-      });
-
-      // Custom menu label entry
-      const defaultMenuLabel = '';
-      const customMenuLabelRow = new Adw.EntryRow({
-        title: this._('Menu Label'),
-      });
-      customMenuLabelRow.set_placeholder_text?.('My Custom Entry');
-      customMenuLabelRow.set_text(this._settings.get_string('custom-menu-label'));
-
-      const labelRestoreButton = new Gtk.Button({
-        icon_name: 'edit-undo-symbolic',
-        has_frame: false,
-        tooltip_text: this._('Restore Default'),
-        valign: Gtk.Align.CENTER,
+      const behaviorGroup = new Adw.PreferencesGroup({
+        title: this._('Panel'),
+        description: this._('Hide or show the Activities button from the top bar.'),
       });
-      labelRestoreButton.add_css_class?.('circular');
 
-      const labelAcceptButton = new Gtk.Button({
-        icon_name: 'emblem-ok-symbolic',
-        has_frame: false,
-        tooltip_text: this._('Apply Changes'),
+      const activityMenuSwitch = new Gtk.Switch({
         valign: Gtk.Align.CENTER,
-      });
-      labelAcceptButton.add_css_class?.('circular');
-      labelAcceptButton.set_visible(false);
-      labelAcceptButton.set_sensitive(false);
-
-      customMenuLabelRow.add_suffix?.(labelAcceptButton);
-      customMenuLabelRow.add_suffix?.(labelRestoreButton);
-
-      const clearLabelFocus = () => {
-        const root = customMenuLabelRow.get_root?.();
-        if (root && typeof root.set_focus === 'function') {
-          root.set_focus(null);
-        }
-      };
-
-      const updateLabelRestoreButtonState = () => {
-        const currentText = customMenuLabelRow.get_text
-          ? customMenuLabelRow.get_text()
-          : customMenuLabelRow.text ?? '';
-        const isDefault = currentText.trim() === defaultMenuLabel;
-        labelRestoreButton.set_sensitive(!isDefault);
-        labelRestoreButton.set_visible(!isDefault);
-        labelAcceptButton.set_sensitive(!isDefault);
-      };
-
-      labelRestoreButton.connect('clicked', () => {
-        customMenuLabelRow.set_text(defaultMenuLabel);
-        clearLabelFocus();
+        active: !this._settings.get_boolean('activity-menu-visibility'),
       });
 
-      labelAcceptButton.connect('clicked', () => {
-        clearLabelFocus();
+      const activityMenuRow = new Adw.ActionRow({
+        title: this._('Hide Activities Menu'),
+        subtitle: this._('Display the Activities button in the top panel.'),
+        activatable_widget: activityMenuSwitch,
       });
+      activityMenuRow.add_suffix(activityMenuSwitch);
 
-      customMenuLabelRow.connect('notify::text', updateLabelRestoreButtonState);
-      updateLabelRestoreButtonState();
-
-      const labelKeyController = new Gtk.EventControllerKey();
-      labelKeyController.connect('key-pressed', (controller, keyval) => {
-        if (keyval === Gdk.KEY_Escape) {
-          clearLabelFocus();
-          return true;
-        }
-        return false;
-      });
-      customMenuLabelRow.add_controller?.(labelKeyController);
+      behaviorGroup.add(activityMenuRow);
 
-      const labelFocusController = new Gtk.EventControllerFocus();
-      labelFocusController.connect('enter', () => {
-        labelAcceptButton.set_visible(true);
+      const keyboardGroup = new Adw.PreferencesGroup({
+        title: this._('Keyboard'),
+        description: this._('Open the Kiwi Menu without reaching for the mouse.'),
       });
-      labelFocusController.connect('leave', () => {
-        labelAcceptButton.set_visible(false);
-      });
-      customMenuLabelRow.add_controller?.(labelFocusController);
-
-      customMenuExpanderRow.add_row(customMenuLabelRow);
 
-      // Custom menu command entry
-      const defaultMenuCommand = '';
-      const customMenuCommandRow = new Adw.EntryRow({
-        title: this._('Command'),
+      const toggleMenuShortcutRow = new ShortcutRow({
+        title: this._('Open Kiwi Menu'),
+        accelerator: this._settings.get_strv('toggle-menu-shortcut')[0] ?? '',
+        gettextFunc: this._,
+        onChanged: (accelerator) => {
+          this._settings.set_strv('toggle-menu-shortcut', accelerator ? [accelerator] : []);
+        },
+        findConflict: (accelerator) =>
+          findShortcutConflict(
+            accelerator,
+            collectExtensionShortcuts(this._settings, sourcePath, this._).filter(
+              ({ source }) => source !== 'toggle'
+            ),
+            this._systemShortcuts
+          ),
       });
-      customMenuCommandRow.set_placeholder_text?.('gnome-terminal');
-      customMenuCommandRow.set_text(this._settings.get_string('custom-menu-command'));
+      keyboardGroup.add(toggleMenuShortcutRow);
 
-      const commandRestoreButton = new Gtk.Button({
-        icon_name: 'edit-undo-symbolic',
-        has_frame: false,
-        tooltip_text: this._('Restore Default'),
+      const superKeySwitch = new Gtk.Switch({
         valign: Gtk.Align.CENTER,
+        active: this._settings.get_boolean('super-key-opens-menu'),
       });
-      commandRestoreButton.add_css_class?.('circular');
 
-      const commandAcceptButton = new Gtk.Button({
-        icon_name: 'emblem-ok-symbolic',
-        has_frame: false,
-        tooltip_text: this._('Apply Changes'),
-        valign: Gtk.Align.CENTER,
+      const superKeyRow = new Adw.ActionRow({
+        title: this._('Open with Super Key'),
+        subtitle: this._('Tap Super to open the Kiwi Menu instead of the overview while the Activities button is hidden.'),
+        activatable_widget: superKeySwitch,
       });
-      commandAcceptButton.add_css_class?.('circular');
-      commandAcceptButton.set_visible(false);
-      commandAcceptButton.set_sensitive(false);
+      superKeyRow.add_suffix(superKeySwitch);
 
-      customMenuCommandRow.add_suffix?.(commandAcceptButton);
-      customMenuCommandRow.add_suffix?.(commandRestoreButton);
-
-      const clearCommandFocus = () => {
-        const root = customMenuCommandRow.get_root?.();
-        if (root && typeof root.set_focus === 'function') {
-          root.set_focus(null);
-        }
-      };
+      this._settings.bind(
+        'super-key-opens-menu',
+        superKeySwitch,
+        'active',
+        Gio.SettingsBindFlags.DEFAULT
+      );
 
-      const updateCommandRestoreButtonState = () => {
-        const currentText = customMenuCommandRow.get_text
-          ? customMenuCommandRow.get_text()
-          : customMenuCommandRow.text ?? '';
-        const isDefault = currentText.trim() === defaultMenuCommand;
-        commandRestoreButton.set_sensitive(!isDefault);
-        commandRestoreButton.set_visible(!isDefault);
-        commandAcceptButton.set_sensitive(!isDefault);
+      const syncSuperKeyRow = () => {
+        superKeyRow.set_sensitive(!this._settings.get_boolean('activity-menu-visibility'));
       };
+      const activitiesChangedId = this._settings.connect('changed::activity-menu-visibility', syncSuperKeyRow);
+      this.connect('destroy', () => this._settings.disconnect(activitiesChangedId));
+      syncSuperKeyRow();
 
-      commandRestoreButton.connect('clicked', () => {
-        customMenuCommandRow.set_text(defaultMenuCommand);
-        clearCommandFocus();
-      });
-
-      commandAcceptButton.connect('clicked', () => {
-        clearCommandFocus();
-      });
-
-      customMenuCommandRow.connect('notify::text', updateCommandRestoreButtonState);
-      updateCommandRestoreButtonState();
-
-      const commandKeyController = new Gtk.EventControllerKey();
-      commandKeyController.connect('key-pressed', (controller, keyval) => {
-        if (keyval === Gdk.KEY_Escape) {
-          clearCommandFocus();
-          return true;
-        }
-        return false;
-      });
-      customMenuCommandRow.add_controller?.(commandKeyController);
-
-      const commandFocusController = new Gtk.EventControllerFocus();
-      commandFocusController.connect('enter', () => {
-        commandAcceptButton.set_visible(true);
-      });
-      commandFocusController.connect('leave', () => {
-        commandAcceptButton.set_visible(false);
-      });
-      customMenuCommandRow.add_controller?.(commandFocusController);
-
-      customMenuExpanderRow.add_row(customMenuCommandRow);
+      keyboardGroup.add(superKeyRow);
 
-      menuGroup.add(customMenuExpanderRow);
-
-      // Handle custom menu enable/disable
-      customMenuExpanderRow.connect('notify::enable-expansion', (widget) => {
-        const isEnabled = widget.get_enable_expansion();
-        this._settings.set_boolean('custom-menu-enabled', isEnabled);
+      const confirmGroup = new Adw.PreferencesGroup({
+        title: this._('Confirmations'),
+        description: this._('Ask before running these session actions. Restart and Shut Down proceed after 60 seconds.'),
       });
 
-      // Bind custom menu settings
-      this._settings.bind(
-        'custom-menu-label',
-        customMenuLabelRow,
-        'text',
-        Gio.SettingsBindFlags.DEFAULT
-      );
-
-      this._settings.bind(
-        'custom-menu-command',
-        customMenuCommandRow,
-        'text',
-        Gio.SettingsBindFlags.DEFAULT
-      );
+      Object.entries(getSessionActionLabels(this._)).forEach(([action, title]) => {
+        const toggle = new Gtk.Switch({
+          valign: Gtk.Align.CENTER,
+          active: this._settings.get_strv(CONFIRM_ACTIONS_SETTING_KEY).includes(action),
+        });
 
-      const behaviorGroup = new Adw.PreferencesGroup({
-        title: this._('Panel'),
-        description: this._('Hide or show the Activities button from the top bar.'),
-      });
+        const row = new Adw.ActionRow({
+          title,
+          activatable_widget: toggle,
+        });
+        row.add_suffix(toggle);
 
-      const activityMenuSwitch = new Gtk.Switch({
-        valign: Gtk.Align.CENTER,
-        active: !this._settings.get_boolean('activity-menu-visibility'),
-      });
+        toggle.connect('notify::active', (widget) => {
+          const actions = this._settings
+            .get_strv(CONFIRM_ACTIONS_SETTING_KEY)
+            .filter((value) => value !== action);
+          if (widget.get_active()) {
+            actions.push(action);
+          }
+          this._settings.set_strv(CONFIRM_ACTIONS_SETTING_KEY, actions);
+        });
 
-      const activityMenuRow = new Adw.ActionRow({
-        title: this._('Hide Activities Menu'),
-        subtitle: this._('Display the Activities button in the top panel.'),
-        activatable_widget: activityMenuSwitch,
+        confirmGroup.add(row);
       });
-      activityMenuRow.add_suffix(activityMenuSwitch);
-
-      behaviorGroup.add(activityMenuRow);
 
       this.add(menuGroup);
+      this.add(this._createCustomItemsGroup(sourcePath));
       this.add(behaviorGroup);
+      this.add(keyboardGroup);
+      this.add(this._createTooltipsGroup());
+      this.add(confirmGroup);
 
       const quickSettingsGroup = new Adw.PreferencesGroup({
         title: this._('Quick Settings'),
@@ -415,12 +701,1080 @@ const OptionsPage = GObject.registerClass(
       });
 
     }
+
+    _createTooltipsGroup() {
+      const tooltipsGroup = new Adw.PreferencesGroup({
+        title: this._('Tooltips'),
+        description: this._('Show where recent items are stored and what custom entries run.'),
+      });
+
+      const enabledSwitch = new Gtk.Switch({
+        valign: Gtk.Align.CENTER,
+      });
+      const enabledRow = new Adw.ActionRow({
+        title: this._('Show Tooltips'),
+        activatable_widget: enabledSwitch,
+      });
+      enabledRow.add_suffix(enabledSwitch);
+      this._settings.bind('tooltip-enabled', enabledSwitch, 'active', Gio.SettingsBindFlags.DEFAULT);
+      tooltipsGroup.add(enabledRow);
+
+      const delayButton = new Gtk.SpinButton({
+        adjustment: new Gtk.Adjustment({
+          lower: 0,
+          upper: 5000,
+          step_increment: 100,
+          page_increment: 500,
+        }),
+        valign: Gtk.Align.CENTER,
+      });
+      this._settings.bind('tooltip-delay', delayButton, 'value', Gio.SettingsBindFlags.DEFAULT);
+      const delayRow = new Adw.ActionRow({
+        title: this._('Delay'),
+        subtitle: this._('Milliseconds to hover an item before its tooltip shows up.'),
+        activatable_widget: delayButton,
+      });
+      delayRow.add_suffix(delayButton);
+      tooltipsGroup.add(delayRow);
+
+      const placementList = new Gtk.StringList();
+      placementList.append(this._('Above'));
+      placementList.append(this._('Below'));
+      placementList.append(this._('Beside'));
+
+      const placementRow = new Adw.ComboRow({
+        title: this._('Placement'),
+        subtitle: this._('Tooltips switch sides at the edge of the screen.'),
+        model: placementList,
+        selected: Math.max(0, TOOLTIP_PLACEMENTS.indexOf(this._settings.get_string('tooltip-placement'))),
+      });
+      placementRow.connect('notify::selected', (widget) => {
+        this._settings.set_string(
+          'tooltip-placement',
+          TOOLTIP_PLACEMENTS[widget.get_selected()] ?? TOOLTIP_PLACEMENTS[0]
+        );
+      });
+      tooltipsGroup.add(placementRow);
+
+      [delayRow, placementRow].forEach((row) =>
+        this._settings.bind('tooltip-enabled', row, 'sensitive', Gio.SettingsBindFlags.GET)
+      );
+
+      return tooltipsGroup;
+    }
+
+    _createCustomItemsGroup(sourcePath) {
+      this._sourcePath = sourcePath;
+      this._customItemRows = [];
+      this._customItemsGroup = new Adw.PreferencesGroup({
+        title: this._('Custom Menu Items'),
+        description: this._('Add your own menu entries with a label, command and optional icon.'),
+      });
+
+      const addButton = new Gtk.Button({
+        icon_name: 'list-add-symbolic',
+        tooltip_text: this._('Add Custom Item'),
+        valign: Gtk.Align.CENTER,
+      });
+      addButton.add_css_class?.('flat');
+      addButton.connect('clicked', () => {
+        const items = readCustomItems(this._settings);
+        const id = createItemId('custom');
+        items.push({ id });
+        writeCustomItems(this._settings, items);
+        this._rebuildCustomItemRows(id);
+      });
+      this._customItemsGroup.set_header_suffix?.(addButton);
+
+      // Position choices follow the menu layout, so refresh them with it.
+      const layoutChangedId = this._settings.connect(`changed::${LAYOUT_SETTING_KEY}`, () =>
+        this._rebuildCustomItemRows()
+      );
+      this.connect('destroy', () => this._settings.disconnect(layoutChangedId));
+
+      this._rebuildCustomItemRows();
+
+      return this._customItemsGroup;
+    }
+
+    _getCustomItemPositions() {
+      const positions = [
+        { id: CUSTOM_ITEM_POSITION_TOP, label: this._('Top of Menu') },
+      ];
+
+      const addAnchors = (items) => {
+        items.forEach((item) => {
+          if (item.id && item.title && item.type !== 'custom') {
+            positions.push({
+              id: item.id,
+              label: this._('After “%s”').format(this._(item.title)),
+            });
+          }
+
+          if (item.type === 'submenu') {
+            addAnchors(item.items);
+          }
+        });
+      };
+      addAnchors(readLayout(this._settings, this._sourcePath));
+
+      positions.push({ id: CUSTOM_ITEM_POSITION_BOTTOM, label: this._('Bottom of Menu') });
+      return positions;
+    }
+
+    _updateCustomItems(mutate) {
+      const items = readCustomItems(this._settings);
+      mutate(items);
+      writeCustomItems(this._settings, items);
+    }
+
+    _updateCustomItem(id, mutate) {
+      // Rows may be older than the list, so entries are found by id.
+      this._updateCustomItems((items) => {
+        const item = items.find((entry) => entry.id === id);
+        if (item) {
+          mutate(item);
+        }
+      });
+    }
+
+    _rebuildCustomItemRows(expandId = null) {
+      this._customItemRows.forEach((row) => this._customItemsGroup.remove(row));
+      this._customItemRows = [];
+
+      const items = readCustomItems(this._settings);
+      const positions = this._getCustomItemPositions();
+
+      items.forEach((item, index) => {
+        const row = this._createCustomItemRow(item, index, items.length, positions);
+        row.set_expanded(item.id === expandId);
+        this._customItemsGroup.add(row);
+        this._customItemRows.push(row);
+      });
+    }
+
+    _createCustomItemRow(item, index, count, positions) {
+      const expanderRow = new Adw.ExpanderRow({
+        title: GLib.markup_escape_text(item.label || this._('New Custom Item'), -1),
+        subtitle: GLib.markup_escape_text(item.command, -1),
+        show_enable_switch: true,
+        enable_expansion: item.enabled,
+      });
+
+      expanderRow.connect('notify::enable-expansion', (widget) => {
+        const isEnabled = widget.get_enable_expansion();
+        this._updateCustomItem(item.id, (entry) => {
+          entry.enabled = isEnabled;
+        });
+      });
+
+      const addEntryRow = (field, title, placeholder, onApplied) => {
+        const entryRow = new Adw.EntryRow({
+          title,
+          show_apply_button: true,
+        });
+        entryRow.set_text(item[field] ?? '');
+        entryRow.set_placeholder_text?.(placeholder);
+        entryRow.connect('apply', (widget) => {
+          const text = widget.get_text().trim();
+          this._updateCustomItem(item.id, (entry) => {
+            entry[field] = text;
+          });
+          onApplied?.(text);
+        });
+        expanderRow.add_row(entryRow);
+      };
+
+      addEntryRow('label', this._('Menu Label'), 'My Custom Entry', (text) => {
+        expanderRow.set_title(GLib.markup_escape_text(text || this._('New Custom Item'), -1));
+      });
+      addEntryRow('command', this._('Command, Application ID or URI'), 'org.gnome.Terminal.desktop', (text) => {
+        expanderRow.set_subtitle(GLib.markup_escape_text(text, -1));
+      });
+      addEntryRow('icon', this._('Icon'), 'utilities-terminal-symbolic');
+
+      let selectedPosition = positions.findIndex(({ id }) => id === item.position);
+      if (selectedPosition < 0) {
+        selectedPosition = positions.length - 1;
+      }
+
+      const positionRow = new Adw.ComboRow({
+        title: this._('Position'),
+        model: Gtk.StringList.new(positions.map(({ label }) => label)),
+        selected: selectedPosition,
+      });
+      positionRow.connect('notify::selected', (widget) => {
+        const position = positions[widget.get_selected()];
+        if (!position) {
+          return;
+        }
+
+        this._updateCustomItem(item.id, (entry) => {
+          entry.position = position.id;
+        });
+      });
+      expanderRow.add_row(positionRow);
+
+      const actionsRow = new Adw.ActionRow({
+        title: this._('Arrange'),
+      });
+
+      const makeActionButton = (iconName, tooltip, sensitive, handler) => {
+        const button = new Gtk.Button({
+          icon_name: iconName,
+          has_frame: false,
+          tooltip_text: tooltip,
+          valign: Gtk.Align.CENTER,
+          sensitive,
+        });
+        button.add_css_class?.('circular');
+        button.connect('clicked', handler);
+        actionsRow.add_suffix(button);
+      };
+
+      const moveItem = (offset) => {
+        this._updateCustomItems((items) => {
+          const from = items.findIndex((entry) => entry.id === item.id);
+          if (from >= 0) {
+            const [moved] = items.splice(from, 1);
+            items.splice(Math.max(0, from + offset), 0, moved);
+          }
+        });
+        this._rebuildCustomItemRows(item.id);
+      };
+
+      makeActionButton('go-up-symbolic', this._('Move Up'), index > 0, () => moveItem(-1));
+      makeActionButton('go-down-symbolic', this._('Move Down'), index < count - 1, () => moveItem(1));
+      makeActionButton('user-trash-symbolic', this._('Remove'), true, () => {
+        this._updateCustomItems((items) => {
+          const from = items.findIndex((entry) => entry.id === item.id);
+          if (from >= 0) {
+            items.splice(from, 1);
+          }
+        });
+        this._rebuildCustomItemRows();
+      });
+
+      expanderRow.add_row(actionsRow);
+
+      return expanderRow;
+    }
+  }
+);
+
+const MenuLayoutPage = GObject.registerClass(
+  class MenuLayoutPage extends Adw.PreferencesPage {
+    constructor(settings, sourcePath, gettextFunc) {
+      super({
+        title: gettextFunc('Menu Layout'),
+        icon_name: 'view-list-symbolic',
+        name: 'MenuLayoutPage',
+      });
+
+      this._settings = settings;
+      this._sourcePath = sourcePath;
+      this._ = gettextFunc;
+      this._rows = [];
+      this._systemShortcuts = new SystemShortcuts();
+
+      this._entriesGroup = new Adw.PreferencesGroup({
+        title: this._('Menu Entries'),
+        description: this._('Drag entries to reorder them, switch them off to hide them.'),
+      });
+
+      const headerBox = new Gtk.Box({
+        spacing: 6,
+        valign: Gtk.Align.CENTER,
+      });
+
+      const addButton = new Gtk.Button({
+        icon_name: 'list-add-symbolic',
+        tooltip_text: this._('Add Item'),
+        valign: Gtk.Align.CENTER,
+      });
+      addButton.add_css_class?.('flat');
+      addButton.connect('clicked', () => this._openItemDialog(null, -1));
+
+      const resetButton = new Gtk.Button({
+        icon_name: 'edit-undo-symbolic',
+        tooltip_text: this._('Reset to Default'),
+        valign: Gtk.Align.CENTER,
+      });
+      resetButton.add_css_class?.('flat');
+      resetButton.connect('clicked', () => this._confirmReset());
+
+      headerBox.append(addButton);
+      headerBox.append(resetButton);
+      this._entriesGroup.set_header_suffix?.(headerBox);
+
+      this.add(this._entriesGroup);
+
+      const layoutChangedId = this._settings.connect(`changed::${LAYOUT_SETTING_KEY}`, () =>
+        this._rebuildRows()
+      );
+      this.connect('destroy', () => {
+        this._settings.disconnect(layoutChangedId);
+        this._systemShortcuts.destroy();
+      });
+
+      this._rebuildRows();
+    }
+
+    _getLayout() {
+      return readLayout(this._settings, this._sourcePath).map((item) =>
+        item.type === 'submenu'
+          ? { ...item, items: item.items.map((child) => ({ ...child })) }
+          : { ...item }
+      );
+    }
+
+    _rebuildRows() {
+      this._rows.forEach((row) => this._entriesGroup.remove(row));
+      this._rows = [];
+
+      this._getLayout().forEach((item, index) => {
+        const row = item.type === 'submenu'
+          ? this._createSubmenuRow(item, index)
+          : this._createEntryRow(item, index);
+        this._entriesGroup.add(row);
+        this._rows.push(row);
+      });
+    }
+
+    _describeItem(item) {
+      switch (item.type) {
+        case 'separator':
+          return { title: this._('Separator'), subtitle: '' };
+        case 'recent-items':
+          return {
+            title: this._(item.title),
+            subtitle: this._('Recent Items submenu'),
+          };
+        case 'schedule':
+          return {
+            title: this._(item.title),
+            subtitle: this._('Schedules: %s').format(
+              getSessionActionLabels(this._)[item.action] ?? item.action
+            ),
+          };
+        case 'restart-into':
+          return {
+            title: this._(item.title),
+            subtitle: this._('Boot entries and firmware setup supported by this system'),
+          };
+        case 'submenu':
+          return {
+            title: this._(item.title),
+            subtitle: ngettext('Submenu with %d entry', 'Submenu with %d entries', item.items.length).format(
+              item.items.length
+            ),
+          };
+        case 'custom': {
+          const entry = readCustomItems(this._settings).find(({ id }) => id === item.id);
+          return {
+            title: entry?.label || this._('Custom Menu Item'),
+            subtitle: entry?.command ?? this._('Missing custom menu item'),
+          };
+        }
+        default:
+          return {
+            title: item.title ? this._(item.title) : item.app,
+            subtitle: this._describeItemTarget(item),
+          };
+      }
+    }
+
+    _describeItemTarget(item) {
+      if (item.action) {
+        return this._('Session action: %s').format(
+          getSessionActionLabels(this._)[item.action] ?? item.action
+        );
+      }
+
+      return item.commandSettingKey
+        ? this._('Uses the App Store command option')
+        : formatLayoutTarget(item);
+    }
+
+    _createEntryRow(item, index, parentIndex = null) {
+      const { title, subtitle } = this._describeItem(item);
+      const row = new Adw.ActionRow({
+        title: GLib.markup_escape_text(title, -1),
+        subtitle: GLib.markup_escape_text(subtitle, -1),
+        activatable: EDITABLE_LAYOUT_TYPES.includes(item.type),
+      });
+
+      this._addEntryControls(row, item, index, parentIndex);
+
+      if (EDITABLE_LAYOUT_TYPES.includes(item.type)) {
+        row.connect('activated', () => this._openItemDialog(item, index, parentIndex));
+      }
+
+      return row;
+    }
+
+    _createSubmenuRow(item, index) {
+      const { title, subtitle } = this._describeItem(item);
+      const row = new Adw.ExpanderRow({
+        title: GLib.markup_escape_text(title, -1),
+        subtitle: GLib.markup_escape_text(subtitle, -1),
+      });
+
+      const editButton = new Gtk.Button({
+        icon_name: 'document-edit-symbolic',
+        has_frame: false,
+        tooltip_text: this._('Edit'),
+        valign: Gtk.Align.CENTER,
+      });
+      editButton.add_css_class?.('circular');
+      editButton.connect('clicked', () => this._openItemDialog(item, index));
+      row.add_suffix(editButton);
+
+      this._addEntryControls(row, item, index, null);
+
+      item.items.forEach((child, childIndex) => {
+        row.add_row(this._createEntryRow(child, childIndex, index));
+      });
+
+      const addRow = new Adw.ActionRow({
+        title: this._('Add Entry'),
+        activatable: true,
+      });
+      addRow.add_prefix(new Gtk.Image({ icon_name: 'list-add-symbolic' }));
+      addRow.connect('activated', () => this._openItemDialog(null, -1, index));
+      row.add_row(addRow);
+
+      return row;
+    }
+
+    _addEntryControls(row, item, index, parentIndex) {
+      // Identifies the entry like collectExtensionShortcuts() does.
+      const path = parentIndex === null ? `${index}` : `${parentIndex}/${index}`;
+
+      if (item.hidden) {
+        row.add_css_class?.('dim-label');
+      }
+
+      row.add_prefix(new Gtk.Image({
+        icon_name: 'list-drag-handle-symbolic',
+        css_classes: ['dim-label'],
+      }));
+
+      const visibleSwitch = new Gtk.Switch({
+        valign: Gtk.Align.CENTER,
+        active: !item.hidden,
+        tooltip_text: this._('Show in Menu'),
+      });
+      visibleSwitch.connect('notify::active', (widget) => {
+        this._updateSiblings(parentIndex, (siblings) => {
+          if (siblings[index]) {
+            siblings[index].hidden = !widget.get_active();
+            if (!siblings[index].hidden) {
+              delete siblings[index].hidden;
+            }
+          }
+        });
+      });
+      if (item.type === 'menu' && item.accelerator) {
+        const conflict = this._findConflict(item.accelerator, path);
+        if (conflict) {
+          row.add_suffix(new Gtk.Image({
+            icon_name: 'dialog-warning-symbolic',
+            css_classes: ['warning'],
+            tooltip_text: this._('Conflicts with “%s”').format(conflict),
+            valign: Gtk.Align.CENTER,
+          }));
+        }
+
+        row.add_suffix(new Gtk.ShortcutLabel({
+          accelerator: item.accelerator,
+          valign: Gtk.Align.CENTER,
+        }));
+      }
+
+      row.add_suffix(visibleSwitch);
+
+      const deleteButton = new Gtk.Button({
+        icon_name: 'user-trash-symbolic',
+        has_frame: false,
+        tooltip_text: this._('Remove'),
+        valign: Gtk.Align.CENTER,
+      });
+      deleteButton.add_css_class?.('circular');
+      deleteButton.connect('clicked', () => {
+        this._updateSiblings(parentIndex, (siblings) => siblings.splice(index, 1));
+      });
+      row.add_suffix(deleteButton);
+
+      const dragSource = new Gtk.DragSource({ actions: Gdk.DragAction.MOVE });
+      dragSource.connect('prepare', () => Gdk.ContentProvider.new_for_value(path));
+      dragSource.connect('drag-begin', (source) => {
+        source.set_icon(Gtk.WidgetPaintable.new(row), 0, 0);
+      });
+      row.add_controller(dragSource);
+
+      const dropTarget = Gtk.DropTarget.new(GObject.TYPE_STRING, Gdk.DragAction.MOVE);
+      dropTarget.connect('drop', (_target, value) => {
+        // Entries only move between siblings.
+        const parts = `${value}`.split('/').map((part) => Number.parseInt(part, 10));
+        const fromIndex = parts.pop();
+        const fromParent = parts.length > 0 ? parts[0] : null;
+        if (!Number.isInteger(fromIndex) || fromParent !== parentIndex || fromIndex === index) {
+          return false;
+        }
+
+        this._updateSiblings(parentIndex, (siblings) => {
+          const [moved] = siblings.splice(fromIndex, 1);
+          if (moved) {
+            siblings.splice(index, 0, moved);
+          }
+        });
+        return true;
+      });
+      row.add_controller(dropTarget);
+    }
+
+    _findConflict(accelerator, source) {
+      const extensionShortcuts = collectExtensionShortcuts(
+        this._settings,
+        this._sourcePath,
+        this._
+      ).filter((shortcut) => shortcut.source !== source);
+
+      return findShortcutConflict(accelerator, extensionShortcuts, this._systemShortcuts);
+    }
+
+    _updateLayout(mutate) {
+      const layout = this._getLayout();
+      mutate(layout);
+      writeLayout(this._settings, layout);
+    }
+
+    _updateSiblings(parentIndex, mutate) {
+      this._updateLayout((layout) => {
+        const siblings = parentIndex === null ? layout : layout[parentIndex]?.items;
+        if (Array.isArray(siblings)) {
+          mutate(siblings);
+        }
+      });
+    }
+
+    _openItemDialog(item, index, parentIndex = null) {
+      const isNew = item === null;
+      const dialog = new Adw.Dialog({
+        content_width: 420,
+        title: isNew ? this._('Add Menu Item') : this._('Edit Menu Item'),
+      });
+
+      const toolbarView = new Adw.ToolbarView();
+      const headerBar = new Adw.HeaderBar();
+      const saveButton = new Gtk.Button({
+        label: isNew ? this._('Add') : this._('Save'),
+        css_classes: ['suggested-action'],
+      });
+      headerBar.pack_end(saveButton);
+      toolbarView.add_top_bar(headerBar);
+
+      const page = new Adw.PreferencesPage();
+      const group = new Adw.PreferencesGroup();
+
+      const typeLabels = {
+        menu: this._('Menu Item'),
+        separator: this._('Separator'),
+        'recent-items': this._('Recent Items'),
+        submenu: this._('Submenu'),
+        custom: this._('Custom Menu Item'),
+      };
+      const typeValues = parentIndex === null ? NEW_LAYOUT_TYPES : SUBMENU_CHILD_TYPES;
+      const typeRow = new Adw.ComboRow({
+        title: this._('Type'),
+        model: Gtk.StringList.new(typeValues.map((type) => typeLabels[type])),
+        visible: isNew,
+      });
+      group.add(typeRow);
+
+      // Custom entries are edited on the Options page and only placed here.
+      const customItems = readCustomItems(this._settings);
+      const customItemRow = new Adw.ComboRow({
+        title: this._('Custom Menu Item'),
+        model: Gtk.StringList.new(customItems.map((entry) => entry.label || entry.command)),
+      });
+      group.add(customItemRow);
+
+      const titleRow = new Adw.EntryRow({ title: this._('Title') });
+      titleRow.set_text(item?.title ?? '');
+      group.add(titleRow);
+
+      // Settings-backed commands and session actions have no editable target.
+      const hasFixedTarget = Boolean(item?.commandSettingKey || item?.action);
+      const commandRow = new Adw.EntryRow({
+        title: this._('Command, Application ID or URI'),
+        visible: !hasFixedTarget,
+      });
+      commandRow.set_text(formatLayoutTarget(item));
+      group.add(commandRow);
+
+      const iconRow = new Adw.EntryRow({ title: this._('Icon') });
+      iconRow.set_text(item?.icon ?? '');
+      group.add(iconRow);
+
+      let accelerator = item?.accelerator ?? '';
+      const shortcutRow = new ShortcutRow({
+        title: this._('Shortcut'),
+        accelerator,
+        gettextFunc: this._,
+        onChanged: (value) => {
+          accelerator = value;
+        },
+        findConflict: (value) => {
+          const path = parentIndex === null ? `${index}` : `${parentIndex}/${index}`;
+          return this._findConflict(value, isNew ? null : path);
+        },
+      });
+      group.add(shortcutRow);
+
+      const getType = () => (isNew ? typeValues[typeRow.get_selected()] ?? 'menu' : item.type);
+
+      const syncState = () => {
+        const type = getType();
+        titleRow.set_visible(type !== 'separator' && type !== 'custom');
+        iconRow.set_visible(type !== 'separator' && type !== 'custom');
+        shortcutRow.set_visible(type === 'menu');
+        commandRow.set_visible(type === 'menu' && !hasFixedTarget);
+        customItemRow.set_visible(type === 'custom');
+
+        const hasTitle = titleRow.get_text().trim().length > 0;
+        const target = parseLayoutTarget(commandRow.get_text());
+        // Applications fall back to their own name when the title is empty.
+        saveButton.set_sensitive(
+          type === 'separator' ||
+          (type === 'custom' && customItems.length > 0) ||
+          (TITLED_LAYOUT_TYPES.includes(type) && hasTitle) ||
+          (type === 'menu' && hasFixedTarget && hasTitle) ||
+          (type === 'menu' && target !== null && (hasTitle || Boolean(target.app)))
+        );
+      };
+
+      typeRow.connect('notify::selected', syncState);
+      titleRow.connect('notify::text', syncState);
+      commandRow.connect('notify::text', syncState);
+      syncState();
+
+      saveButton.connect('clicked', () => {
+        const type = getType();
+        const title = titleRow.get_text().trim();
+        const icon = iconRow.get_text().trim();
+        let entry;
+
+        if (type === 'separator') {
+          entry = { type };
+        } else if (type === 'custom') {
+          entry = { type, id: customItems[customItemRow.get_selected()].id };
+        } else if (type === 'submenu' && isNew) {
+          entry = { id: createItemId('submenu'), type, title, items: [] };
+        } else if (TITLED_LAYOUT_TYPES.includes(type)) {
+          entry = { ...(item ?? {}), type, title };
+        } else {
+          const { app, uri, cmds, ...rest } = item ?? {};
+          let target;
+          if (item?.action) {
+            target = {};
+          } else if (item?.commandSettingKey) {
+            target = { cmds };
+          } else {
+            target = parseLayoutTarget(commandRow.get_text()) ?? { app, uri, cmds };
+          }
+          entry = {
+            id: createItemId('menu'),
+            ...rest,
+            ...target,
+            type,
+          };
+          if (title.length > 0) {
+            entry.title = title;
+          } else {
+            delete entry.title;
+          }
+
+          if (accelerator.length > 0) {
+            entry.accelerator = accelerator;
+          } else {
+            delete entry.accelerator;
+          }
+        }
+
+        if (type !== 'separator' && type !== 'custom') {
+          if (icon.length > 0) {
+            entry.icon = icon;
+          } else {
+            delete entry.icon;
+          }
+        }
+
+        this._updateSiblings(parentIndex, (siblings) => {
+          if (isNew) {
+            siblings.push(entry);
+          } else if (siblings[index]) {
+            siblings[index] = entry;
+          }
+        });
+        dialog.close();
+      });
+
+      page.add(group);
+      toolbarView.set_content(page);
+      dialog.set_child(toolbarView);
+      dialog.present(this.get_root());
+    }
+
+    _confirmReset() {
+      const dialog = new Adw.AlertDialog({
+        heading: this._('Reset Menu Layout?'),
+        body: this._('All entries will be restored to the default Kiwi Menu layout.'),
+      });
+      dialog.add_response('cancel', this._('Cancel'));
+      dialog.add_response('reset', this._('Reset'));
+      dialog.set_response_appearance('reset', Adw.ResponseAppearance.DESTRUCTIVE);
+      dialog.connect('response', (_dialog, response) => {
+        if (response === 'reset') {
+          resetLayout(this._settings);
+        }
+      });
+      dialog.present(this.get_root());
+    }
+  }
+);
+
+const RecentItemsPage = GObject.registerClass(
+  class RecentItemsPage extends Adw.PreferencesPage {
+    constructor(settings, gettextFunc) {
+      super({
+        title: gettextFunc('Recent Items'),
+        icon_name: 'document-open-recent-symbolic',
+        name: 'RecentItemsPage',
+      });
+
+      this._settings = settings;
+      this._ = gettextFunc;
+      this._sectionRows = [];
+      this._pinnedRows = [];
+
+      this._pinnedGroup = new Adw.PreferencesGroup({
+        title: this._('Pinned'),
+        description: this._('Pinned entries stay on top of the Recent Items submenu. Right-click an entry there to pin it.'),
+      });
+      this.add(this._pinnedGroup);
+
+      this._sectionsGroup = new Adw.PreferencesGroup({
+        title: this._('Sections'),
+        description: this._('Choose which sections the Recent Items submenu shows, in which order and how many entries each lists.'),
+      });
+      this.add(this._sectionsGroup);
+
+      const applicationsGroup = new Adw.PreferencesGroup({
+        title: this._('Applications'),
+      });
+
+      const sortList = new Gtk.StringList();
+      sortList.append(this._('Most Used'));
+      sortList.append(this._('Recently Used'));
+
+      const sortRow = new Adw.ComboRow({
+        title: this._('Order'),
+        model: sortList,
+        selected: Math.max(
+          0,
+          RECENT_APPLICATION_SORT_MODES.indexOf(this._settings.get_string('recent-applications-sort'))
+        ),
+      });
+      sortRow.connect('notify::selected', (widget) => {
+        this._settings.set_string(
+          'recent-applications-sort',
+          RECENT_APPLICATION_SORT_MODES[widget.get_selected()] ?? RECENT_APPLICATION_SORT_MODES[0]
+        );
+      });
+      applicationsGroup.add(sortRow);
+
+      const clearApplicationsSwitch = new Gtk.Switch({
+        valign: Gtk.Align.CENTER,
+      });
+      const clearApplicationsRow = new Adw.ActionRow({
+        title: this._('Clear Menu Resets Applications'),
+        subtitle: this._('Clear Menu also forgets which applications you used.'),
+        activatable_widget: clearApplicationsSwitch,
+      });
+      clearApplicationsRow.add_suffix(clearApplicationsSwitch);
+      this._settings.bind(
+        'recent-clear-applications',
+        clearApplicationsSwitch,
+        'active',
+        Gio.SettingsBindFlags.DEFAULT
+      );
+      applicationsGroup.add(clearApplicationsRow);
+
+      this.add(applicationsGroup);
+
+      const filesGroup = new Adw.PreferencesGroup({
+        title: this._('Files'),
+      });
+
+      const hideMissingSwitch = new Gtk.Switch({
+        valign: Gtk.Align.CENTER,
+      });
+      const hideMissingRow = new Adw.ActionRow({
+        title: this._('Hide Missing Files'),
+        subtitle: this._('Leave out files and folders that were moved or deleted. Clean Up Missing Items in the submenu removes them for good.'),
+        activatable_widget: hideMissingSwitch,
+      });
+      hideMissingRow.add_suffix(hideMissingSwitch);
+      this._settings.bind(
+        'recent-hide-missing',
+        hideMissingSwitch,
+        'active',
+        Gio.SettingsBindFlags.DEFAULT
+      );
+      filesGroup.add(hideMissingRow);
+
+      this.add(filesGroup);
+      this.add(this._createPrivacyGroup());
+
+      const sectionsChangedId = this._settings.connect(`changed::${RECENT_SECTIONS_SETTING_KEY}`, () =>
+        this._rebuildSectionRows()
+      );
+      const pinnedChangedIds = [PINNED_APPLICATIONS_SETTING_KEY, PINNED_DOCUMENTS_SETTING_KEY].map((key) =>
+        this._settings.connect(`changed::${key}`, () => this._rebuildPinnedRows())
+      );
+      this.connect('destroy', () => {
+        this._settings.disconnect(sectionsChangedId);
+        pinnedChangedIds.forEach((id) => this._settings.disconnect(id));
+      });
+
+      this._rebuildPinnedRows();
+      this._rebuildSectionRows();
+    }
+
+    _createPrivacyGroup() {
+      const privacyGroup = new Adw.PreferencesGroup({
+        title: this._('Privacy'),
+        description: this._('Keep file names out of sight, for example while presenting.'),
+      });
+
+      const privacyList = new Gtk.StringList();
+      privacyList.append(this._('Off'));
+      privacyList.append(this._('Hide Files'));
+      privacyList.append(this._('Blur Titles Until Hovered'));
+
+      const privacyRow = new Adw.ComboRow({
+        title: this._('Privacy Mode'),
+        model: privacyList,
+        selected: Math.max(0, RECENT_PRIVACY_MODES.indexOf(this._settings.get_string('recent-privacy-mode'))),
+      });
+      privacyRow.connect('notify::selected', (widget) => {
+        this._settings.set_string(
+          'recent-privacy-mode',
+          RECENT_PRIVACY_MODES[widget.get_selected()] ?? RECENT_PRIVACY_MODES[0]
+        );
+      });
+      privacyGroup.add(privacyRow);
+
+      const sharingSwitch = new Gtk.Switch({
+        valign: Gtk.Align.CENTER,
+      });
+      const sharingRow = new Adw.ActionRow({
+        title: this._('Hide While Sharing the Screen'),
+        subtitle: this._('Remove Recent Items from the menu during screen sharing, screen recording and remote desktop sessions.'),
+        activatable_widget: sharingSwitch,
+      });
+      sharingRow.add_suffix(sharingSwitch);
+      this._settings.bind(
+        'recent-hide-while-sharing',
+        sharingSwitch,
+        'active',
+        Gio.SettingsBindFlags.DEFAULT
+      );
+      privacyGroup.add(sharingRow);
+
+      [
+        ['recent-exclude-paths', this._('Excluded Paths, e.g. ~/Private/**')],
+        ['recent-exclude-mime-types', this._('Excluded File Types, e.g. image/*')],
+        ['recent-exclude-schemes', this._('Excluded Locations, e.g. smb, sftp')],
+        ['recent-exclude-applications', this._('Excluded Applications, e.g. org.gnome.Loupe')],
+      ].forEach(([key, title]) => privacyGroup.add(this._createListEntryRow(key, title)));
+
+      return privacyGroup;
+    }
+
+    _createListEntryRow(key, title) {
+      const row = new Adw.EntryRow({
+        title,
+        show_apply_button: true,
+        text: this._settings.get_strv(key).join(', '),
+      });
+      row.set_tooltip_text(this._('Separate entries with commas.'));
+      row.connect('apply', () => {
+        this._settings.set_strv(key, parseListText(row.get_text()));
+      });
+
+      return row;
+    }
+
+    _rebuildPinnedRows() {
+      this._pinnedRows.forEach((row) => this._pinnedGroup.remove(row));
+      this._pinnedRows = [];
+
+      const applicationRows = this._settings.get_strv(PINNED_APPLICATIONS_SETTING_KEY).map((desktopId) => {
+        const appInfo = Gio.DesktopAppInfo.new(desktopId);
+        return this._createPinnedRow(PINNED_APPLICATIONS_SETTING_KEY, desktopId, {
+          title: appInfo?.get_display_name() ?? desktopId,
+          subtitle: this._('Application'),
+          gicon: appInfo?.get_icon() ?? null,
+        });
+      });
+
+      const documentRows = this._settings.get_strv(PINNED_DOCUMENTS_SETTING_KEY).map((uri) => {
+        const item = createItemForUri(uri);
+        return this._createPinnedRow(PINNED_DOCUMENTS_SETTING_KEY, uri, {
+          title: item.title,
+          subtitle: item.isRemote ? GLib.uri_unescape_string(uri, null) ?? uri : item.path,
+          gicon: item.isRemote ? new Gio.ThemedIcon({ name: 'folder-remote-symbolic' }) : null,
+        });
+      });
+
+      const rows = [...applicationRows, ...documentRows];
+      if (rows.length === 0) {
+        rows.push(new Adw.ActionRow({
+          title: this._('Nothing pinned yet'),
+          css_classes: ['dim-label'],
+        }));
+      }
+
+      rows.forEach((row) => {
+        this._pinnedGroup.add(row);
+        this._pinnedRows.push(row);
+      });
+    }
+
+    _createPinnedRow(key, id, { title, subtitle, gicon }) {
+      const row = new Adw.ActionRow({
+        title: GLib.markup_escape_text(title, -1),
+        subtitle: GLib.markup_escape_text(subtitle, -1),
+      });
+
+      row.add_prefix(gicon
+        ? new Gtk.Image({ gicon, pixel_size: 32 })
+        : new Gtk.Image({ icon_name: 'text-x-generic-symbolic', pixel_size: 32 }));
+
+      const unpinButton = new Gtk.Button({
+        icon_name: 'list-remove-symbolic',
+        has_frame: false,
+        tooltip_text: this._('Unpin'),
+        valign: Gtk.Align.CENTER,
+      });
+      unpinButton.add_css_class?.('circular');
+      unpinButton.connect('clicked', () => {
+        this._settings.set_strv(key, this._settings.get_strv(key).filter((value) => value !== id));
+      });
+      row.add_suffix(unpinButton);
+
+      return row;
+    }
+
+    _getVisibleSections() {
+      const labels = getRecentSectionLabels(this._);
+      return this._settings
+        .get_strv(RECENT_SECTIONS_SETTING_KEY)
+        .filter((section, index, all) => section in labels && all.indexOf(section) === index);
+    }
+
+    _rebuildSectionRows() {
+      this._sectionRows.forEach((row) => this._sectionsGroup.remove(row));
+      this._sectionRows = [];
+
+      const labels = getRecentSectionLabels(this._);
+      const visible = this._getVisibleSections();
+      // Hidden sections keep no position of their own and follow the visible ones.
+      const sections = [...visible, ...Object.keys(labels).filter((section) => !visible.includes(section))];
+
+      sections.forEach((section) => {
+        const row = this._createSectionRow(section, labels[section], visible);
+        this._sectionsGroup.add(row);
+        this._sectionRows.push(row);
+      });
+    }
+
+    _createSectionRow(section, title, visible) {
+      const index = visible.indexOf(section);
+      const row = new Adw.ActionRow({ title });
+
+      const limitButton = new Gtk.SpinButton({
+        adjustment: new Gtk.Adjustment({
+          lower: 1,
+          upper: 50,
+          step_increment: 1,
+          page_increment: 5,
+        }),
+        valign: Gtk.Align.CENTER,
+        tooltip_text: this._('Maximum Entries'),
+      });
+      this._settings.bind(
+        `recent-${section}-limit`,
+        limitButton,
+        'value',
+        Gio.SettingsBindFlags.DEFAULT
+      );
+      row.add_suffix(limitButton);
+
+      const moveUpButton = new Gtk.Button({
+        icon_name: 'go-up-symbolic',
+        has_frame: false,
+        tooltip_text: this._('Move Up'),
+        valign: Gtk.Align.CENTER,
+        sensitive: index > 0,
+      });
+      moveUpButton.connect('clicked', () => this._moveSection(index, index - 1));
+      row.add_suffix(moveUpButton);
+
+      const moveDownButton = new Gtk.Button({
+        icon_name: 'go-down-symbolic',
+        has_frame: false,
+        tooltip_text: this._('Move Down'),
+        valign: Gtk.Align.CENTER,
+        sensitive: index !== -1 && index < visible.length - 1,
+      });
+      moveDownButton.connect('clicked', () => this._moveSection(index, index + 1));
+      row.add_suffix(moveDownButton);
+
+      const visibleSwitch = new Gtk.Switch({
+        valign: Gtk.Align.CENTER,
+        active: index !== -1,
+        tooltip_text: this._('Show in Menu'),
+      });
+      visibleSwitch.connect('notify::active', (widget) => {
+        const sections = this._getVisibleSections().filter((value) => value !== section);
+        if (widget.get_active()) {
+          sections.push(section);
+        }
+        this._settings.set_strv(RECENT_SECTIONS_SETTING_KEY, sections);
+      });
+      row.add_suffix(visibleSwitch);
+      row.set_activatable_widget(visibleSwitch);
+
+      return row;
+    }
+
+    _moveSection(fromIndex, toIndex) {
+      const sections = this._getVisibleSections();
+      const [moved] = sections.splice(fromIndex, 1);
+      sections.splice(toIndex, 0, moved);
+      this._settings.set_strv(RECENT_SECTIONS_SETTING_KEY, sections);
+    }
   }
 );
 
 export default class KiwiMenuPreferences extends ExtensionPreferences {
   fillPreferencesWindow(window) {
     const settings = this.getSettings();
+    migrateCustomItemIds(settings);
     window._settings = settings;
     window.title = this.metadata.name ?? 'Kiwi Menu';
     window.set_default_size(450, 700);
@@ -431,9 +1785,13 @@ export default class KiwiMenuPreferences extends ExtensionPreferences {
     const _ = this.gettext.bind(this);
     const aboutPage = this._createAboutPage(window, _);
     const optionsPage = new OptionsPage(settings, this.path, _);
+    const menuLayoutPage = new MenuLayoutPage(settings, this.path, _);
+    const recentItemsPage = new RecentItemsPage(settings, _);
 
     window.add(aboutPage);
     window.add(optionsPage);
+    window.add(menuLayoutPage);
+    window.add(recentItemsPage);
   }
 
   _ensureVersionCss(window) {
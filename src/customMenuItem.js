@@ -4,63 +4,71 @@
  */
 
 import GLib from 'gi://GLib';
-import * as PopupMenu from 'resource:///org/gnome/shell/ui/popupMenu.js';
-import * as Util from 'resource:///org/gnome/shell/misc/util.js';
+import { createMenuItemWithIcon, resolveIcon } from './iconMenuItem.js';
+import { launchTarget, lookupApp } from './launcher.js';
+import { parseLaunchTarget } from './menuLayout.js';
 
 /**
- * Creates a custom menu item if enabled in settings.
+ * Creates the menu item for one custom entry.
  * 
- * @param {Gio.Settings} settings - The extension settings object
+ * The command may be a command line, an application ID such as
+ * `org.gnome.Terminal.desktop` or a URI. Application entries default to the
+ * application's own name and icon.
+ * 
+ * @param {object} entry - Custom item with label, command and optional icon
  * @param {Function} gettextFunc - Translation function
- * @returns {PopupMenu.PopupMenuItem|null} The custom menu item or null if disabled
+ * @param {object} [iconOptions]
+ * @param {boolean} [iconOptions.showIcons] - Whether icons are shown at all
+ * @param {boolean} [iconOptions.reserveIconSpace] - Align with items that have icons
+ * @returns {PopupMenu.PopupMenuItem|null} The custom menu item or null if disabled or incomplete
  */
-export function createCustomMenuItem(settings, gettextFunc) {
-    if (!settings) {
+export function createCustomMenuItem(entry, gettextFunc, { showIcons = true, reserveIconSpace = false } = {}) {
+    if (!entry || entry.enabled === false) {
         return null;
     }
 
-    const enabled = settings.get_boolean('custom-menu-enabled');
-    if (!enabled) {
+    const target = parseLaunchTarget(entry.command);
+    if (!target) {
         return null;
     }
 
-    const label = settings.get_string('custom-menu-label');
-    const command = settings.get_string('custom-menu-command');
-
-    // Don't create menu item if label or command is empty
-    const trimmedLabel = label?.trim?.() ?? '';
-    const trimmedCommand = command?.trim?.() ?? '';
+    const app = target.kind === 'application' ? lookupApp(target.appId) : null;
 
-    if (trimmedLabel.length === 0 || trimmedCommand.length === 0) {
+    // Don't create menu item without a label, unless the application provides one
+    const trimmedLabel = entry.label?.trim?.() || app?.get_name() || '';
+    if (trimmedLabel.length === 0) {
         return null;
     }
 
-    const menuItem = new PopupMenu.PopupMenuItem(trimmedLabel);
+    const gicon = showIcons ? resolveIcon(entry.icon) ?? app?.get_icon() ?? null : null;
+    const menuItem = createMenuItemWithIcon(trimmedLabel, gicon, null, reserveIconSpace);
 
     menuItem.connect('activate', () => {
-        try {
-            // If command looks like a simple path without shell quoting, quote it
-            // to handle paths with spaces correctly
-            let commandToExecute = trimmedCommand;
-            const needsQuoting = !trimmedCommand.startsWith('"') &&
-                                 !trimmedCommand.startsWith("'") &&
-                                 trimmedCommand.includes(' ') &&
-                                 !trimmedCommand.includes('" ') &&
-                                 !trimmedCommand.includes("' ");
-            if (needsQuoting) {
-                commandToExecute = GLib.shell_quote(trimmedCommand);
-            }
+        if (target.kind !== 'command') {
+            launchTarget(target, gettextFunc);
+            return;
+        }
 
-            const [success, argv] = GLib.shell_parse_argv(commandToExecute);
-            if (success && Array.isArray(argv) && argv.length > 0) {
-                Util.spawn(argv);
-            } else {
-                logError(new Error(`Failed to parse command: ${trimmedCommand}`));
-            }
-        } catch (error) {
-            logError(error, `Failed to execute custom menu command: ${trimmedCommand}`);
+        const argv = parseCommandLine(target.commandLine);
+        if (argv) {
+            launchTarget({ kind: 'command', argv }, gettextFunc);
         }
     });
 
     return menuItem;
 }
+
+function parseCommandLine(commandLine) {
+    try {
+        const [success, argv] = GLib.shell_parse_argv(commandLine);
+        if (success && Array.isArray(argv) && argv.length > 0) {
+            return argv;
+        }
+
+        logError(new Error(`Failed to parse command: ${commandLine}`));
+    } catch (error) {
+        logError(error, `Failed to parse custom menu command: ${commandLine}`);
+    }
+
+    return null;
+}
@@ -1,6 +1,8 @@
 /*
  * SPDX-License-Identifier: GPL-3.0-or-later
- * documentTooltip.js - Provides a delayed tooltip for document entries.
+ * documentTooltip.js - Provides a delayed tooltip for Kiwi menu items.
+ * It starts as plain text and turns into a preview card when a preview
+ * loader provides a thumbnail and details, as for recent documents.
  */
 
 import GLib from 'gi://GLib';
@@ -10,21 +12,95 @@ import Clutter from 'gi://Clutter';
 
 import * as Main from 'resource:///org/gnome/shell/ui/main.js';
 
+export const TOOLTIP_ENABLED_KEY = 'tooltip-enabled';
+export const TOOLTIP_DELAY_KEY = 'tooltip-delay';
+export const TOOLTIP_PLACEMENT_KEY = 'tooltip-placement';
+
 const TOOLTIP_DELAY_MS = 1000;
+const TOOLTIP_PLACEMENTS = ['above', 'below', 'beside'];
+const THUMBNAIL_SIZE = 96;
+
+/**
+ * Shows a tooltip on a menu item as configured in the tooltip settings,
+ * and closes and destroys it along with the item.
+ *
+ * @param {PopupMenu.PopupBaseMenuItem} menuItem - The item to describe
+ * @param {string} text - The tooltip text
+ * @param {Gio.Settings} settings - The extension settings
+ * @param {object} [options]
+ * @param {Function} [options.loadPreview] - See DocumentTooltip
+ * @returns {DocumentTooltip|null} The tooltip, or null if tooltips are
+ *   turned off or there is nothing to show
+ */
+export function attachTooltip(menuItem, text, settings, { loadPreview = null } = {}) {
+  const actor = menuItem?.actor ?? null;
+  if (!actor || !text || !settings.get_boolean(TOOLTIP_ENABLED_KEY)) {
+    return null;
+  }
+
+  const tooltip = new DocumentTooltip(actor, text, {
+    delayMs: settings.get_int(TOOLTIP_DELAY_KEY),
+    placement: settings.get_string(TOOLTIP_PLACEMENT_KEY),
+    loadPreview,
+  });
+
+  menuItem.connect('destroy', () => {
+    tooltip.destroy();
+  });
+
+  menuItem.connect('activate', () => {
+    tooltip.close();
+  });
+
+  return tooltip;
+}
 
 export const DocumentTooltip = GObject.registerClass(
-  class DocumentTooltip extends St.Label {
-    _init(targetActor, text, delayMs = TOOLTIP_DELAY_MS) {
+  class DocumentTooltip extends St.BoxLayout {
+    /**
+     * @param {Clutter.Actor} targetActor - The actor to show the tooltip for
+     * @param {string} text - The tooltip text
+     * @param {object} [options]
+     * @param {number} [options.delayMs] - Hover time before showing up
+     * @param {string} [options.placement] - `above`, `below` or `beside`
+     *   the target, on the monitor showing it
+     * @param {Function} [options.loadPreview] - Async function resolving to
+     *   `{gicon, details}` for a preview card, or null to keep the text.
+     *   Called once, when the tooltip is first about to show.
+     */
+    _init(targetActor, text, { delayMs = TOOLTIP_DELAY_MS, placement = 'above', loadPreview = null } = {}) {
       super._init({
-        text,
         style_class: 'shell-tooltip kiwi-document-tooltip',
         visible: false,
         reactive: false,
         opacity: 0,
       });
 
+      this._thumbnail = new St.Icon({
+        style_class: 'kiwi-document-tooltip-thumbnail',
+        icon_size: THUMBNAIL_SIZE,
+        y_align: Clutter.ActorAlign.CENTER,
+        visible: false,
+      });
+      this.add_child(this._thumbnail);
+
+      const textBox = new St.BoxLayout({
+        vertical: true,
+        y_align: Clutter.ActorAlign.CENTER,
+      });
+      this._label = new St.Label({ text });
+      textBox.add_child(this._label);
+      this._detailsLabel = new St.Label({
+        style_class: 'kiwi-document-tooltip-details',
+        visible: false,
+      });
+      textBox.add_child(this._detailsLabel);
+      this.add_child(textBox);
+
       this._target = targetActor;
       this._delayMs = delayMs;
+      this._placement = TOOLTIP_PLACEMENTS.includes(placement) ? placement : 'above';
+      this._loadPreview = loadPreview;
       this._timeoutId = 0;
       this._targetSignals = [];
 
@@ -58,6 +134,15 @@ export const DocumentTooltip = GObject.registerClass(
         return;
       }
 
+      // Load while the delay runs so the card is ready when it shows.
+      if (this._loadPreview) {
+        const loadPreview = this._loadPreview;
+        this._loadPreview = null;
+        loadPreview()
+          .then((preview) => this._setPreview(preview))
+          .catch((error) => logError(error, 'Failed to load document preview'));
+      }
+
       this._timeoutId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, this._delayMs, () => {
         this._timeoutId = 0;
         this._showTooltip();
@@ -92,6 +177,24 @@ export const DocumentTooltip = GObject.registerClass(
       super.destroy();
     }
 
+    _setPreview(preview) {
+      // Destroyed meanwhile, or nothing to show beyond the text.
+      if (!this._target || !preview?.gicon) {
+        return;
+      }
+
+      this._thumbnail.gicon = preview.gicon;
+      this._thumbnail.show();
+
+      const details = preview.details ?? [];
+      this._detailsLabel.text = details.join('\n');
+      this._detailsLabel.visible = details.length > 0;
+
+      if (this.visible) {
+        this._reposition();
+      }
+    }
+
     _showTooltip() {
       if (!this._target || !this._target.get_stage?.()) {
         return;
@@ -121,27 +224,50 @@ export const DocumentTooltip = GObject.registerClass(
         return;
       }
 
+      const monitor =
+        Main.layoutManager.findMonitorForActor(this._target) ?? Main.layoutManager.primaryMonitor;
+      if (!monitor) {
+        return;
+      }
+
       const node = this.get_theme_node?.();
-      const yOffset = node?.get_length?.('-y-offset') ?? 6;
+      const offset = node?.get_length?.('-y-offset') ?? 6;
 
       const [, naturalWidth] = this.get_preferred_width(-1);
       const [, naturalHeight] = this.get_preferred_height(naturalWidth);
       const tooltipWidth = this.width || naturalWidth;
       const tooltipHeight = this.height || naturalHeight;
 
-      const stageWidth = global.stage?.width ?? 0;
-      const stageHeight = global.stage?.height ?? 0;
-
-      let x = extents.get_x();
-      let y = extents.get_y() - tooltipHeight - yOffset;
-
-      if (stageWidth > 0) {
-        x = Math.max(0, Math.min(stageWidth - tooltipWidth, x));
+      const targetX = extents.get_x();
+      const targetY = extents.get_y();
+      const targetWidth = extents.get_width();
+      const targetHeight = extents.get_height();
+      const monitorRight = monitor.x + monitor.width;
+      const monitorBottom = monitor.y + monitor.height;
+
+      const above = targetY - tooltipHeight - offset;
+      const below = targetY + targetHeight + offset;
+      const right = targetX + targetWidth + offset;
+      const left = targetX - tooltipWidth - offset;
+
+      // Flip to the opposite side when the monitor edge is in the way.
+      let x = targetX;
+      let y;
+      switch (this._placement) {
+        case 'below':
+          y = below + tooltipHeight > monitorBottom ? above : below;
+          break;
+        case 'beside':
+          x = right + tooltipWidth > monitorRight ? left : right;
+          y = targetY;
+          break;
+        default:
+          y = above < monitor.y ? below : above;
+          break;
       }
 
-      if (stageHeight > 0) {
-        y = Math.max(0, Math.min(stageHeight - tooltipHeight, y));
-      }
+      x = Math.max(monitor.x, Math.min(monitorRight - tooltipWidth, x));
+      y = Math.max(monitor.y, Math.min(monitorBottom - tooltipHeight, y));
 
       this.set_position(x, y);
     }
@@ -0,0 +1,76 @@
+/*
+ * SPDX-License-Identifier: GPL-3.0-or-later
+ * fileActions.js - File operations for recent items: querying their details,
+ * revealing them in the file manager and moving them to the trash.
+ */
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+import { callDBusMethod } from './sessionActions.js';
+
+const FILE_MANAGER_SERVICE = {
+  bus: () => Gio.DBus.session,
+  name: 'org.freedesktop.FileManager1',
+  path: '/org/freedesktop/FileManager1',
+  interface: 'org.freedesktop.FileManager1',
+};
+
+/**
+ * Queries file attributes without blocking.
+ *
+ * @param {Gio.File} file - The file to query
+ * @param {string} attributes - The attributes to query
+ * @param {Gio.Cancellable|null} [cancellable] - Cancels the query
+ * @returns {Promise<Gio.FileInfo>} The file information
+ */
+export function queryFileInfo(file, attributes, cancellable = null) {
+  return new Promise((resolve, reject) => {
+    file.query_info_async(
+      attributes,
+      Gio.FileQueryInfoFlags.NONE,
+      GLib.PRIORITY_LOW,
+      cancellable,
+      (source, result) => {
+        try {
+          resolve(source.query_info_finish(result));
+        } catch (error) {
+          reject(error);
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Opens the folder of a file in the file manager with the file selected.
+ *
+ * @param {string} uri - The file to reveal
+ * @returns {Promise} Resolves once the file manager accepted the request
+ */
+export function showItemInFiles(uri) {
+  return callDBusMethod(
+    FILE_MANAGER_SERVICE,
+    'ShowItems',
+    new GLib.Variant('(ass)', [[uri], '']),
+    null
+  );
+}
+
+/**
+ * Moves a file or folder to the trash.
+ *
+ * @param {string} uri - The file to trash
+ * @returns {Promise<boolean>} Resolves once the file is in the trash
+ */
+export function trashFile(uri) {
+  return new Promise((resolve, reject) => {
+    Gio.File.new_for_uri(uri).trash_async(GLib.PRIORITY_DEFAULT, null, (file, result) => {
+      try {
+        resolve(file.trash_finish(result));
+      } catch (error) {
+        reject(error);
+      }
+    });
+  });
+}
@@ -0,0 +1,49 @@
+/*
+ * SPDX-License-Identifier: GPL-3.0-or-later
+ * filePreview.js - Gathers what the Recent Items tooltip shows about a file:
+ * its cached thumbnail, size, modification time and type.
+ */
+
+import Gio from 'gi://Gio';
+
+import { queryFileInfo } from './fileActions.js';
+
+// GIO finds the largest cached thumbnail and checks it against the file's
+// modification time, so edited files do not show their old preview.
+const PREVIEW_ATTRIBUTES = [
+  'standard::type',
+  'standard::size',
+  'standard::content-type',
+  'time::modified',
+  'thumbnail::path',
+  'thumbnail::is-valid',
+].join(',');
+
+function getThumbnail(info) {
+  const path = info?.get_attribute_byte_string('thumbnail::path') ?? null;
+  if (!path || !info.get_attribute_boolean('thumbnail::is-valid')) {
+    return null;
+  }
+
+  return Gio.File.new_for_path(path);
+}
+
+/**
+ * Looks up the thumbnail and details of a file.
+ *
+ * @param {string} uri - The file
+ * @returns {Promise<object>} The thumbnail Gio.File, the size in bytes (null
+ *   for folders), the modification GLib.DateTime and the content type. Any of
+ *   them is null when unknown.
+ */
+export async function loadFilePreview(uri) {
+  const info = await queryFileInfo(Gio.File.new_for_uri(uri), PREVIEW_ATTRIBUTES).catch(() => null);
+  const isDirectory = info?.get_file_type() === Gio.FileType.DIRECTORY;
+
+  return {
+    thumbnail: getThumbnail(info),
+    size: info && !isDirectory ? info.get_size() : null,
+    modified: info?.get_modification_date_time() ?? null,
+    contentType: info?.get_content_type() ?? null,
+  };
+}
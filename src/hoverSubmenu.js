@@ -0,0 +1,587 @@
+/*
+ * SPDX-License-Identifier: GPL-3.0-or-later
+ * hoverSubmenu.js - Base class for hover-opened submenus in the Kiwi Menu.
+ */
+
+import GLib from 'gi://GLib';
+import GObject from 'gi://GObject';
+import St from 'gi://St';
+import Clutter from 'gi://Clutter';
+
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+import * as PopupMenu from 'resource:///org/gnome/shell/ui/popupMenu.js';
+import { insertMenuItemIcon } from './iconMenuItem.js';
+
+const HOVER_CLOSE_DELAY_MS = 200;
+const OPEN_DELAY_MS = 500;
+const POINTER_TOLERANCE_PX = 8;
+
+const PointerState = {
+  INSIDE_POPUP: 0,
+  INSIDE_SUBMENU: 1,
+  BRIDGE: 2,
+  OUTSIDE: 3,
+};
+
+/**
+ * A menu item that opens a side popup menu on hover or click.
+ * Manages hover state, timeouts, and pointer tracking for smooth UX.
+ * Subclasses fill the popup by overriding _populateMenu().
+ */
+export const HoverSubmenuItem = GObject.registerClass(
+  class HoverSubmenuItem extends PopupMenu.PopupBaseMenuItem {
+    _init(title, parentMenu, menuManager, popupStyleClass = null) {
+      super._init({
+        reactive: true,
+        can_focus: true,
+        hover: true,
+      });
+
+      this._parentMenu = parentMenu;
+      this._menuManager = menuManager;
+      this._popupStyleClass = popupStyleClass;
+
+      // State tracking
+      this._submenu = null;
+      this._submenuHoverActor = null;
+      this._submenuSignalIds = [];
+      this._submenuMenuSignalIds = [];
+      this._hoverCloseTimeoutId = 0;
+      this._openDelayTimeoutId = 0;
+      this._mainMenuCloseId = 0;
+      this._submenuDestroyId = 0;
+      this._chromeAdded = false;
+      this._managerRegistered = false;
+      this._submenuClosing = false;
+      this._mainMenuItemSignalIds = [];
+      this._globalHoverMonitorId = 0;
+
+      // Build UI
+      const label = new St.Label({
+        text: title,
+        x_expand: true,
+        y_align: Clutter.ActorAlign.CENTER,
+      });
+      this.add_child(label);
+
+      const arrowIcon = new St.Icon({
+        icon_name: 'go-next-symbolic',
+        style_class: 'popup-menu-arrow',
+        y_align: Clutter.ActorAlign.CENTER,
+      });
+      this.add_child(arrowIcon);
+
+      // Connect events
+      this._connectEvents();
+    }
+
+    /**
+     * Fills the popup menu. Called every time the popup is (re)opened.
+     *
+     * @param {PopupMenu.PopupMenu} _menu - The popup menu to fill
+     */
+    _populateMenu(_menu) {
+      throw new GObject.NotImplementedError(`_populateMenu in ${this.constructor.name}`);
+    }
+
+    /**
+     * Shows an icon before the title, or an invisible placeholder so the
+     * title lines up with sibling items that have icons.
+     *
+     * @param {Gio.Icon|null} gicon - The icon to show
+     * @param {boolean} [reserveSpace] - Insert a placeholder without icon
+     */
+    setIcon(gicon, reserveSpace = false) {
+      this._icon?.destroy();
+      this._icon = insertMenuItemIcon(this, gicon, { reserveSpace });
+    }
+
+    _connectEvents() {
+      this.actor.connect('enter-event', () => {
+        this._cancelClose();
+        this._setSubmenuHover(true);
+        this._scheduleOpen();
+        return Clutter.EVENT_PROPAGATE;
+      });
+
+      this.actor.connect('leave-event', () => {
+        this._cancelOpenDelay();
+        const submenuOpen = this._submenu && this._submenu.isOpen;
+        if (submenuOpen) {
+          this._setSubmenuHover(true);
+        }
+        this._scheduleClose();
+        return Clutter.EVENT_PROPAGATE;
+      });
+
+      this.actor.connect('button-press-event', () => {
+        this._cancelClose();
+        this._cancelOpenDelay();
+        const menu = this._ensureSubmenu();
+        menu.open(true);
+        return Clutter.EVENT_STOP;
+      });
+
+      this.connect('activate', () => {
+        this._cancelClose();
+        this._cancelOpenDelay();
+        const menu = this._ensureSubmenu();
+        menu.open(true);
+      });
+    }
+
+    destroy() {
+      // Clean up all timeouts before destroying
+      this._cancelClose();
+      this._cancelOpenDelay();
+      this._stopGlobalHoverMonitor();
+      this._closeAndDestroySubmenu();
+      super.destroy();
+    }
+
+    _cancelClose() {
+      if (this._hoverCloseTimeoutId) {
+        GLib.source_remove(this._hoverCloseTimeoutId);
+        this._hoverCloseTimeoutId = 0;
+      }
+    }
+
+    _cancelOpenDelay() {
+      if (this._openDelayTimeoutId) {
+        GLib.source_remove(this._openDelayTimeoutId);
+        this._openDelayTimeoutId = 0;
+      }
+    }
+
+    _startGlobalHoverMonitor() {
+      if (this._globalHoverMonitorId !== 0) {
+        return;
+      }
+
+      this._globalHoverMonitorId = GLib.timeout_add(
+        GLib.PRIORITY_DEFAULT,
+        100,
+        () => {
+          if (!this._submenu || !this._submenu.isOpen) {
+            this._globalHoverMonitorId = 0;
+            return GLib.SOURCE_REMOVE;
+          }
+
+          const pointerState = this._getPointerState();
+          if (
+            pointerState === PointerState.INSIDE_POPUP ||
+            pointerState === PointerState.INSIDE_SUBMENU ||
+            pointerState === PointerState.BRIDGE
+          ) {
+            this._setSubmenuHover(true);
+          }
+          if (pointerState === PointerState.OUTSIDE) {
+            // Pointer has left both menus entirely
+            this._closeAndDestroySubmenu();
+            this._setSubmenuHover(false);
+            this._globalHoverMonitorId = 0;
+            return GLib.SOURCE_REMOVE;
+          }
+
+          return GLib.SOURCE_CONTINUE;
+        }
+      );
+      GLib.Source.set_name_by_id(this._globalHoverMonitorId, 'KiwiMenuGlobalHoverMonitor');
+    }
+
+    _stopGlobalHoverMonitor() {
+      if (this._globalHoverMonitorId !== 0) {
+        GLib.source_remove(this._globalHoverMonitorId);
+        this._globalHoverMonitorId = 0;
+      }
+    }
+
+    _setSubmenuHover(shouldHover) {
+      if (typeof this.setActive === 'function') {
+        this.setActive(shouldHover);
+      }
+
+      if (typeof this.remove_style_pseudo_class === 'function') {
+        if (shouldHover) {
+          this.add_style_pseudo_class('hover');
+        } else {
+          this.remove_style_pseudo_class('hover');
+          this.remove_style_pseudo_class('active');
+          this.remove_style_pseudo_class('checked');
+        }
+      }
+
+      if (this.actor) {
+        if (typeof this.actor.set_hover === 'function') {
+          this.actor.set_hover(shouldHover);
+        }
+        if (typeof this.actor.remove_style_pseudo_class === 'function') {
+          if (shouldHover) {
+            this.actor.add_style_pseudo_class('hover');
+          } else {
+            this.actor.remove_style_pseudo_class('hover');
+            this.actor.remove_style_pseudo_class('active');
+            this.actor.remove_style_pseudo_class('checked');
+          }
+        }
+      }
+    }
+
+    _scheduleClose() {
+      this._cancelClose();
+      this._hoverCloseTimeoutId = GLib.timeout_add(
+        GLib.PRIORITY_DEFAULT,
+        HOVER_CLOSE_DELAY_MS,
+        () => {
+          const pointerState = this._getPointerState();
+
+          if (pointerState === PointerState.INSIDE_POPUP) {
+            this._hoverCloseTimeoutId = 0;
+            return GLib.SOURCE_REMOVE;
+          }
+
+          if (pointerState === PointerState.INSIDE_SUBMENU) {
+            // Keep the popup open and keep the submenu item highlighted
+            this._setSubmenuHover(true);
+            this._hoverCloseTimeoutId = 0;
+            return GLib.SOURCE_REMOVE;
+          }
+
+          if (pointerState === PointerState.BRIDGE) {
+            this._setSubmenuHover(true);
+            return GLib.SOURCE_CONTINUE;
+          }
+
+          this._hoverCloseTimeoutId = 0;
+          this._closeAndDestroySubmenu();
+          this._setSubmenuHover(false);
+          return GLib.SOURCE_REMOVE;
+        }
+      );
+      GLib.Source.set_name_by_id(this._hoverCloseTimeoutId, 'KiwiMenuHoverCloseDelay');
+    }
+
+    _scheduleOpen() {
+      this._cancelOpenDelay();
+
+      if (this._submenu && this._submenu.isOpen) {
+        return;
+      }
+
+      this._openDelayTimeoutId = GLib.timeout_add(
+        GLib.PRIORITY_DEFAULT,
+        OPEN_DELAY_MS,
+        () => {
+          this._openDelayTimeoutId = 0;
+          const menu = this._ensureSubmenu();
+          menu.open(true);
+          return GLib.SOURCE_REMOVE;
+        }
+      );
+      GLib.Source.set_name_by_id(this._openDelayTimeoutId, 'KiwiMenuSubmenuOpenDelay');
+    }
+
+    _disconnectSubmenuSignals() {
+      this._submenuSignalIds.forEach(({ target, id }) => {
+        if (target && id) {
+          try {
+            target.disconnect(id);
+          } catch (_error) {
+            // Ignore, signal already disconnected during teardown
+          }
+        }
+      });
+      this._submenuSignalIds = [];
+
+      if (!this._submenu) {
+        this._submenuMenuSignalIds = [];
+        return;
+      }
+
+      this._submenuMenuSignalIds.forEach((id) => {
+        if (id) {
+          try {
+            this._submenu.disconnect(id);
+          } catch (_error) {
+            // Ignore if already disconnected during teardown
+          }
+        }
+      });
+      this._submenuMenuSignalIds = [];
+    }
+
+    _disconnectMainMenuItemSignals() {
+      this._mainMenuItemSignalIds.forEach(({ actor, signalId }) => {
+        if (actor && signalId) {
+          try {
+            actor.disconnect(signalId);
+          } catch (_error) {
+            // Ignore if already disconnected during teardown
+          }
+        }
+      });
+      this._mainMenuItemSignalIds = [];
+    }
+
+    _connectMainMenuItemSignals() {
+      this._disconnectMainMenuItemSignals();
+
+      if (!this._parentMenu || typeof this._parentMenu._getMenuItems !== 'function') {
+        return;
+      }
+
+      const menuItems = this._parentMenu._getMenuItems();
+      menuItems.forEach((item) => {
+        if (!item || item === this) {
+          return;
+        }
+
+        const actor = item.actor;
+        if (!actor || actor === this.actor || !actor.reactive) {
+          return;
+        }
+
+        actor.track_hover = true;
+        const signalId = actor.connect('enter-event', () => {
+          if (!this._submenu || !this._submenu.isOpen) {
+            return Clutter.EVENT_PROPAGATE;
+          }
+
+          // Only close the popup if we're entering a different menu item
+          this._cancelClose();
+          this._cancelOpenDelay();
+          this._closeAndDestroySubmenu();
+          this._setSubmenuHover(false);
+          return Clutter.EVENT_PROPAGATE;
+        });
+
+        this._mainMenuItemSignalIds.push({ actor, signalId });
+      });
+    }
+
+    _ensureSubmenu() {
+      if (this._submenu) {
+        this._populateMenu(this._submenu);
+        this._connectMainMenuItemSignals();
+        return this._submenu;
+      }
+
+      this._submenu = new PopupMenu.PopupMenu(this.actor, 0.0, St.Side.RIGHT);
+      this._submenu.actor.add_style_class_name('kiwi-submenu');
+      if (this._popupStyleClass) {
+        this._submenu.actor.add_style_class_name(this._popupStyleClass);
+      }
+      this._submenu.actor.track_hover = true;
+      this._submenu.actor.reactive = true;
+
+      this._submenuHoverActor = this._submenu.box ?? this._submenu.actor;
+      // Track hover on the visible menu box to detect real pointer exits.
+      if (this._submenuHoverActor) {
+        this._submenuHoverActor.track_hover = true;
+        this._submenuHoverActor.reactive = true;
+      }
+
+      Main.layoutManager.addTopChrome(this._submenu.actor);
+      this._chromeAdded = true;
+
+      if (!this._managerRegistered && this._menuManager) {
+        this._menuManager.addMenu(this._submenu);
+        this._managerRegistered = true;
+      }
+
+      this._populateMenu(this._submenu);
+      this._connectMainMenuItemSignals();
+
+      this._submenuMenuSignalIds.push(
+        this._submenu.connect('open-state-changed', (_, open) => {
+          if (open) {
+            this._cancelClose();
+            this._startGlobalHoverMonitor();
+          } else {
+            this._stopGlobalHoverMonitor();
+            this._closeAndDestroySubmenu();
+          }
+        })
+      );
+
+      if (this._submenuHoverActor) {
+        const enterId = this._submenuHoverActor.connect('enter-event', () => {
+          this._cancelClose();
+          this._cancelOpenDelay();
+          this._setSubmenuHover(true);
+          return Clutter.EVENT_PROPAGATE;
+        });
+        this._submenuSignalIds.push({ target: this._submenuHoverActor, id: enterId });
+
+        const leaveId = this._submenuHoverActor.connect('leave-event', () => {
+          this._scheduleClose();
+          return Clutter.EVENT_PROPAGATE;
+        });
+        this._submenuSignalIds.push({ target: this._submenuHoverActor, id: leaveId });
+      }
+
+      if (this._mainMenuCloseId === 0) {
+        this._mainMenuCloseId = this._parentMenu.connect('open-state-changed', (_, open) => {
+          if (!open) {
+            this._closeAndDestroySubmenu();
+          }
+        });
+      }
+
+      if (this._submenuDestroyId === 0) {
+        this._submenuDestroyId = this.connect('destroy', () => {
+          this._closeAndDestroySubmenu();
+        });
+      }
+
+      return this._submenu;
+    }
+
+    _getActorBounds(actor) {
+      if (!actor) {
+        return null;
+      }
+
+      const [stageX, stageY] = actor.get_transformed_position();
+      const [width, height] = actor.get_transformed_size();
+
+      if (width === 0 || height === 0) {
+        return null;
+      }
+
+      return {
+        x1: stageX,
+        y1: stageY,
+        x2: stageX + width,
+        y2: stageY + height,
+      };
+    }
+
+    _getPointerState() {
+      if (!this._submenu) {
+        return PointerState.OUTSIDE;
+      }
+
+      const [pointerX, pointerY] = global.get_pointer();
+      const submenuBounds = this._getActorBounds(this.actor);
+      const popupBounds = this._getActorBounds(this._submenuHoverActor ?? this._submenu.actor);
+
+      const pointWithin = (bounds, tolerance = 0) =>
+        bounds &&
+        pointerX >= bounds.x1 - tolerance &&
+        pointerX <= bounds.x2 + tolerance &&
+        pointerY >= bounds.y1 - tolerance &&
+        pointerY <= bounds.y2 + tolerance;
+
+      // Check if pointer is inside the popup menu
+      if (pointWithin(popupBounds, POINTER_TOLERANCE_PX)) {
+        return PointerState.INSIDE_POPUP;
+      }
+
+      // Check if pointer is inside the submenu item in the main menu
+      if (pointWithin(submenuBounds, POINTER_TOLERANCE_PX)) {
+        return PointerState.INSIDE_SUBMENU;
+      }
+
+      if (!submenuBounds || !popupBounds) {
+        return PointerState.OUTSIDE;
+      }
+
+      const overlapTop = Math.max(submenuBounds.y1, popupBounds.y1);
+      const overlapBottom = Math.min(submenuBounds.y2, popupBounds.y2);
+
+      if (overlapBottom >= overlapTop) {
+        // Allow a narrow horizontal bridge between the submenu and popup.
+        // This bridge exists only to allow smooth transitions.
+        const submenuRight = submenuBounds.x2;
+        const popupLeft = popupBounds.x1;
+        const gapWidth = Math.max(0, popupLeft - submenuRight);
+        const bridgeTolerance = Math.min(POINTER_TOLERANCE_PX, gapWidth + 4);
+
+        if (
+          pointerX >= submenuRight - 2 &&
+          pointerX <= popupLeft + bridgeTolerance &&
+          pointerY >= overlapTop - POINTER_TOLERANCE_PX &&
+          pointerY <= overlapBottom + POINTER_TOLERANCE_PX
+        ) {
+          return PointerState.BRIDGE;
+        }
+      }
+
+      return PointerState.OUTSIDE;
+    }
+
+    _closeAndDestroySubmenu() {
+      this._cancelOpenDelay();
+
+      if (!this._submenu || this._submenuClosing) {
+        this._setSubmenuHover(false);
+        return;
+      }
+
+      this._submenuClosing = true;
+
+      try {
+        this._cancelClose();
+        this._stopGlobalHoverMonitor();
+
+        if (this._mainMenuCloseId !== 0) {
+          this._parentMenu.disconnect(this._mainMenuCloseId);
+          this._mainMenuCloseId = 0;
+        }
+
+        if (this._submenuDestroyId !== 0) {
+          try {
+            this.disconnect(this._submenuDestroyId);
+          } catch (_error) {
+            // Signal was already disconnected, ignore
+          }
+          this._submenuDestroyId = 0;
+        }
+
+        this._disconnectSubmenuSignals();
+        this._disconnectMainMenuItemSignals();
+
+        if (this._submenu.isOpen) {
+          this._submenu.close(true);
+        }
+
+        if (this._managerRegistered && this._menuManager) {
+          this._menuManager.removeMenu(this._submenu);
+          this._managerRegistered = false;
+        }
+
+        if (this._chromeAdded) {
+          Main.layoutManager.removeChrome(this._submenu.actor);
+          this._chromeAdded = false;
+        }
+
+        this._submenu.destroy();
+        this._submenu = null;
+        this._submenuHoverActor = null;
+        this._setSubmenuHover(false);
+      } finally {
+        this._submenuClosing = false;
+      }
+    }
+  }
+);
+
+/**
+ * A hover submenu whose entries are supplied by a callback, used for the
+ * generic `submenu` layout type.
+ */
+export const LayoutSubmenu = GObject.registerClass(
+  class LayoutSubmenu extends HoverSubmenuItem {
+    _init(title, parentMenu, menuManager, populateFunc) {
+      super._init(title, parentMenu, menuManager);
+
+      this._populateFunc = populateFunc;
+    }
+
+    _populateMenu(menu) {
+      menu.removeAll();
+      this._populateFunc?.(menu);
+    }
+  }
+);
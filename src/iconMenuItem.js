@@ -0,0 +1,103 @@
+/*
+ * SPDX-License-Identifier: GPL-3.0-or-later
+ * iconMenuItem.js - Creates popup menu items with a leading icon.
+ */
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+import St from 'gi://St';
+import Clutter from 'gi://Clutter';
+
+import * as PopupMenu from 'resource:///org/gnome/shell/ui/popupMenu.js';
+import { lookupApp } from './launcher.js';
+
+/**
+ * Resolves the `icon` field of a layout or custom item. The value may be a
+ * themed icon name, an absolute (or `~/`) file path, or an application ID
+ * whose icon is used.
+ *
+ * @param {string} spec - The icon specification
+ * @returns {Gio.Icon|null} The icon or null when unset or not found
+ */
+export function resolveIcon(spec) {
+  const trimmed = spec?.trim?.() ?? '';
+  if (trimmed.length === 0) {
+    return null;
+  }
+
+  if (trimmed.endsWith('.desktop')) {
+    return lookupApp(trimmed)?.get_icon() ?? null;
+  }
+
+  if (trimmed.startsWith('/') || trimmed.startsWith('~/')) {
+    const path = trimmed.startsWith('~/')
+      ? GLib.build_filenamev([GLib.get_home_dir(), trimmed.slice(2)])
+      : trimmed;
+    return new Gio.FileIcon({ file: Gio.File.new_for_path(path) });
+  }
+
+  return new Gio.ThemedIcon({ name: trimmed });
+}
+
+/**
+ * Prepends an icon to a menu item. Without an icon, an invisible placeholder
+ * can be inserted so labels line up with neighbouring items that have one.
+ *
+ * @param {PopupMenu.PopupBaseMenuItem} menuItem - The item to decorate
+ * @param {Gio.Icon|null} gicon - The icon to show
+ * @param {object} [options]
+ * @param {string} [options.fallbackIconName] - Themed icon used without gicon
+ * @param {boolean} [options.reserveSpace] - Insert a placeholder without icon
+ * @returns {St.Icon|null} The inserted icon actor
+ */
+export function insertMenuItemIcon(menuItem, gicon, { fallbackIconName = null, reserveSpace = false } = {}) {
+  const iconProps = {
+    style_class: 'popup-menu-icon',
+    y_align: Clutter.ActorAlign.CENTER,
+  };
+
+  if (gicon) {
+    iconProps.gicon = gicon;
+  } else if (fallbackIconName) {
+    iconProps.icon_name = fallbackIconName;
+  } else if (reserveSpace) {
+    iconProps.icon_name = 'image-missing';
+    iconProps.opacity = 0;
+  } else {
+    return null;
+  }
+
+  const icon = new St.Icon(iconProps);
+  menuItem.insert_child_at_index(icon, 0);
+  return icon;
+}
+
+/**
+ * Creates a popup menu item with a leading icon.
+ *
+ * @param {string} labelText - The item label
+ * @param {Gio.Icon|null} gicon - The icon to show
+ * @param {string|null} fallbackIconName - Themed icon used without gicon
+ * @param {boolean} [reserveSpace] - Insert a placeholder without any icon
+ * @returns {PopupMenu.PopupMenuItem} The menu item
+ */
+export function createMenuItemWithIcon(labelText, gicon, fallbackIconName, reserveSpace = false) {
+  const menuItem = new PopupMenu.PopupMenuItem('');
+
+  insertMenuItemIcon(menuItem, gicon, { fallbackIconName, reserveSpace });
+
+  if (menuItem.label) {
+    menuItem.label.text = labelText;
+    menuItem.label.x_expand = true;
+    menuItem.label.y_align = Clutter.ActorAlign.CENTER;
+  } else {
+    const label = new St.Label({
+      text: labelText,
+      x_expand: true,
+      y_align: Clutter.ActorAlign.CENTER,
+    });
+    menuItem.add_child(label);
+  }
+
+  return menuItem;
+}
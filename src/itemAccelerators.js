@@ -0,0 +1,120 @@
+/*
+ * SPDX-License-Identifier: GPL-3.0-or-later
+ * itemAccelerators.js - Global keyboard accelerators for Kiwi Menu entries.
+ */
+
+import Meta from 'gi://Meta';
+import Shell from 'gi://Shell';
+
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+
+const MODIFIER_SYMBOLS = [
+  { names: ['control', 'ctrl', 'primary'], symbol: '⌃' },
+  { names: ['alt', 'mod1'], symbol: '⌥' },
+  { names: ['shift'], symbol: '⇧' },
+  { names: ['super', 'meta', 'mod4'], symbol: '⌘' },
+];
+
+const KEY_SYMBOLS = {
+  escape: '⎋',
+  return: '↩',
+  kp_enter: '⌤',
+  tab: '⇥',
+  backspace: '⌫',
+  delete: '⌦',
+  space: '␣',
+  left: '←',
+  right: '→',
+  up: '↑',
+  down: '↓',
+  home: '↖',
+  end: '↘',
+  page_up: '⇞',
+  page_down: '⇟',
+};
+
+/**
+ * Formats a GTK accelerator string such as `<Control><Super>q` the way
+ * macOS menus show shortcuts, e.g. `⌃⌘Q`.
+ *
+ * @param {string} accelerator - The accelerator string
+ * @returns {string} The formatted shortcut, or an empty string
+ */
+export function formatAccelerator(accelerator) {
+  if (typeof accelerator !== 'string' || accelerator.length === 0) {
+    return '';
+  }
+
+  const modifiers = new Set();
+  const key = accelerator.replace(/<([^>]+)>/g, (_match, name) => {
+    modifiers.add(name.toLowerCase());
+    return '';
+  });
+
+  if (key.length === 0) {
+    return '';
+  }
+
+  const prefix = MODIFIER_SYMBOLS
+    .filter(({ names }) => names.some((name) => modifiers.has(name)))
+    .map(({ symbol }) => symbol)
+    .join('');
+
+  const keySymbol = KEY_SYMBOLS[key.toLowerCase()] ?? (key.length === 1 ? key.toUpperCase() : key);
+  return `${prefix}${keySymbol}`;
+}
+
+/**
+ * Grabs accelerators globally while the extension is enabled and runs the
+ * callback of the binding whose accelerator was pressed.
+ */
+export class ItemAcceleratorManager {
+  constructor() {
+    this._bindings = new Map();
+    this._activatedId = global.display.connect(
+      'accelerator-activated',
+      (_display, action) => {
+        this._bindings.get(action)?.callback();
+      }
+    );
+  }
+
+  /**
+   * Replaces all grabbed accelerators.
+   *
+   * @param {Array<{accelerator: string, callback: Function}>} bindings
+   */
+  setBindings(bindings) {
+    this._ungrabAll();
+
+    for (const { accelerator, callback } of bindings) {
+      const action = global.display.grab_accelerator(accelerator, Meta.KeyBindingFlags.NONE);
+      if (action === Meta.KeyBindingAction.NONE) {
+        log(`Kiwi Menu: could not grab accelerator ${accelerator}, it is already in use`);
+        continue;
+      }
+
+      const name = Meta.external_binding_name_for_action(action);
+      Main.wm.allowKeybinding(name, Shell.ActionMode.NORMAL | Shell.ActionMode.OVERVIEW);
+      this._bindings.set(action, { name, callback });
+    }
+  }
+
+  destroy() {
+    this._ungrabAll();
+
+    if (this._activatedId) {
+      global.display.disconnect(this._activatedId);
+      this._activatedId = 0;
+    }
+  }
+
+  _ungrabAll() {
+    for (const [action, { name }] of this._bindings) {
+      global.display.ungrab_accelerator(action);
+      Main.wm.allowKeybinding(name, Shell.ActionMode.NONE);
+    }
+
+    this._bindings.clear();
+  }
+}
@@ -0,0 +1,79 @@
+/*
+ * SPDX-License-Identifier: GPL-3.0-or-later
+ * itemConditions.js - Evaluates the `requires` conditions of layout entries.
+ */
+
+import GLib from 'gi://GLib';
+
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+import { getItemConditions } from './menuLayout.js';
+import { canRunSessionAction } from './sessionActions.js';
+
+const CAPABILITY_ACTIONS = {
+  'can-suspend': 'suspend',
+  'can-hibernate': 'hibernate',
+  'can-hybrid-sleep': 'hybrid-sleep',
+  'can-reboot': 'reboot',
+  'can-power-off': 'power-off',
+  'can-reboot-to-firmware': 'reboot-to-firmware',
+  'can-reboot-to-boot-loader-entry': 'reboot-to-boot-entry',
+};
+
+async function evaluateCondition(condition, { hasMultipleUsers }) {
+  if (condition in CAPABILITY_ACTIONS) {
+    return canRunSessionAction(CAPABILITY_ACTIONS[condition]);
+  }
+
+  const separatorIndex = condition.indexOf(':');
+  const kind = separatorIndex === -1 ? condition : condition.slice(0, separatorIndex);
+  const argument = separatorIndex === -1 ? '' : condition.slice(separatorIndex + 1);
+
+  switch (kind) {
+    case 'has-binary':
+      return argument.length > 0 && GLib.find_program_in_path(argument) !== null;
+    case 'session-mode':
+      return (
+        Main.sessionMode.currentMode === argument ||
+        Main.sessionMode.parentMode === argument
+      );
+    case 'multiple-users':
+      return hasMultipleUsers();
+    default:
+      log(`Kiwi Menu: unknown layout condition '${condition}'`);
+      return false;
+  }
+}
+
+/**
+ * Evaluates every condition used by a layout once, in parallel.
+ *
+ * @param {Array<object>} layout - The layout entries
+ * @param {object} providers
+ * @param {Function} providers.hasMultipleUsers - Async check for other users
+ * @returns {Promise<Map<string, boolean>>} Result per condition
+ */
+export async function evaluateLayoutConditions(layout, providers) {
+  const conditions = new Set();
+  const collectConditions = (items) => {
+    for (const item of items) {
+      getItemConditions(item).forEach((condition) => conditions.add(condition));
+      if (item.type === 'submenu') {
+        collectConditions(item.items);
+      }
+    }
+  };
+  collectConditions(layout);
+
+  const entries = await Promise.all(
+    [...conditions].map(async (condition) => {
+      try {
+        return [condition, await evaluateCondition(condition, providers)];
+      } catch (error) {
+        logError(error, `Failed to evaluate layout condition '${condition}'`);
+        return [condition, false];
+      }
+    })
+  );
+
+  return new Map(entries);
+}
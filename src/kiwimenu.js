@@ -3,17 +3,54 @@
  * kiwimenu.js - Implements the main Kiwi Menu functionality.
  */
 
+import Clutter from 'gi://Clutter';
 import Gio from 'gi://Gio';
 import GLib from 'gi://GLib';
 import GObject from 'gi://GObject';
+import Meta from 'gi://Meta';
+import Shell from 'gi://Shell';
 import St from 'gi://St';
 import * as Main from 'resource:///org/gnome/shell/ui/main.js';
 import * as PanelMenu from 'resource:///org/gnome/shell/ui/panelMenu.js';
 import * as PopupMenu from 'resource:///org/gnome/shell/ui/popupMenu.js';
-import * as Util from 'resource:///org/gnome/shell/misc/util.js';
+import { attachTooltip } from './documentTooltip.js';
 import { openForceQuitOverlay } from './forceQuitOverlay.js';
+import { LayoutSubmenu } from './hoverSubmenu.js';
+import { RecentItemsModel } from './recentItemsModel.js';
 import { RecentItemsSubmenu } from './recentItemsSubmenu.js';
+import { ScreenSharingMonitor } from './screenSharing.js';
+import {
+  CONFIRM_ACTIONS_SETTING_KEY,
+  ScheduleDialog,
+  confirmSessionAction,
+} from './sessionActionDialog.js';
+import { getSessionActionLabel, listRestartTargets, runSessionAction } from './sessionActions.js';
+import { getInhibitorsForAction, listSessionInhibitors } from './sessionInhibitors.js';
+import { SessionScheduler, formatCountdown } from './sessionScheduler.js';
 import { createCustomMenuItem } from './customMenuItem.js';
+import { createMenuItemWithIcon, resolveIcon } from './iconMenuItem.js';
+import { evaluateLayoutConditions } from './itemConditions.js';
+import { ItemAcceleratorManager, formatAccelerator } from './itemAccelerators.js';
+import { launchTarget, lookupApp } from './launcher.js';
+import {
+  CUSTOM_ITEMS_SETTING_KEY,
+  CUSTOM_ITEM_POSITION_BOTTOM,
+  CUSTOM_ITEM_POSITION_TOP,
+  LAYOUT_SETTING_KEY,
+  getItemConditions,
+  getLayoutItemTarget,
+  parseLaunchTarget,
+  readCustomItems,
+  readLayout,
+} from './menuLayout.js';
+
+const TOGGLE_MENU_KEYBINDING = 'toggle-menu-shortcut';
+
+const SCHEDULE_PRESET_MINUTES = [15, 60];
+
+// A scheduled action found this late (e.g. after the screen was locked and
+// the extension disabled) always asks before running.
+const OVERDUE_CONFIRM_SECONDS = 60;
 
 function loadJsonFile(basePath, segments) {
   const textDecoder = new TextDecoder();
@@ -40,18 +77,25 @@ export const KiwiMenu = GObject.registerClass(
   this._extension = extension;
   this._settingsSignalIds = [];
   this._menuOpenSignalId = 0;
-  this._recentMenuManager = new PopupMenu.PopupMenuManager(this);
+  this._installedChangedId = 0;
+  this._renderSerial = 0;
+  this._inhibitorsSerial = 0;
+  this._inhibitors = [];
+  this._inhibitorWarnings = new Map();
+  this._overlayKeyId = 0;
+  this._blockedOverlayKeyHandlerId = 0;
+  this._submenuManager = new PopupMenu.PopupMenuManager(this);
+  this._itemAccelerators = new ItemAcceleratorManager();
+  this._scheduler = new SessionScheduler(settings);
+  this._recentItems = new RecentItemsModel();
+  this._screenSharing = new ScreenSharingMonitor();
 
       this._icons = Object.freeze(
         loadJsonFile(this._extensionPath, ['src', 'icons.json']).map((icon) =>
           Object.freeze(icon)
         )
       );
-      this._layout = Object.freeze(
-        loadJsonFile(this._extensionPath, ['src', 'menulayout.json']).map((item) =>
-          Object.freeze(item)
-        )
-      );
+      this._layout = this._loadLayout();
 
       if (this.menu?.actor) {
         this.menu.actor.add_style_class_name('kiwi-main-menu');
@@ -60,51 +104,109 @@ export const KiwiMenu = GObject.registerClass(
         }
       }
 
+      const buttonBox = new St.BoxLayout();
+
       this._icon = new St.Icon({
         style_class: 'menu-button',
       });
-      this.add_child(this._icon);
+      buttonBox.add_child(this._icon);
+
+      this._countdownLabel = new St.Label({
+        style_class: 'kiwi-menu-countdown',
+        y_align: Clutter.ActorAlign.CENTER,
+        visible: false,
+      });
+      buttonBox.add_child(this._countdownLabel);
+
+      this.add_child(buttonBox);
 
       this._settingsSignalIds.push(
         this._settings.connect('changed::icon', () => this._setIcon())
       );
       this._settingsSignalIds.push(
-        this._settings.connect('changed::activity-menu-visibility', () =>
-          this._syncActivitiesVisibility()
+        this._settings.connect('changed::activity-menu-visibility', () => {
+          this._syncActivitiesVisibility();
+          this._syncOverlayKey();
+        })
+      );
+      this._settingsSignalIds.push(
+        this._settings.connect('changed::super-key-opens-menu', () =>
+          this._syncOverlayKey()
         )
       );
       this._settingsSignalIds.push(
-        this._settings.connect('changed::app-store-command', () =>
+        this._settings.connect(`changed::${LAYOUT_SETTING_KEY}`, () => {
+          this._layout = this._loadLayout();
+          this._syncItemAccelerators();
+          this._renderPopupMenu();
+        })
+      );
+      this._settingsSignalIds.push(
+        this._settings.connect('changed::show-menu-icons', () =>
           this._renderPopupMenu()
         )
       );
       this._settingsSignalIds.push(
-        this._settings.connect('changed::custom-menu-enabled', () =>
+        this._settings.connect('changed::app-store-command', () =>
           this._renderPopupMenu()
         )
       );
       this._settingsSignalIds.push(
-        this._settings.connect('changed::custom-menu-label', () =>
+        this._settings.connect(`changed::${CUSTOM_ITEMS_SETTING_KEY}`, () =>
           this._renderPopupMenu()
         )
       );
       this._settingsSignalIds.push(
-        this._settings.connect('changed::custom-menu-command', () =>
+        this._settings.connect('changed::recent-hide-while-sharing', () =>
           this._renderPopupMenu()
         )
       );
 
+      // Application entries disappear with the application.
+      this._installedChangedId = Shell.AppSystem.get_default().connect('installed-changed', () =>
+        this._renderPopupMenu()
+      );
+
+      // The entries are only rebuilt when the layout changes, opening the
+      // menu just checks which actions are blocked right now.
       this._menuOpenSignalId = this.menu.connect(
         'open-state-changed',
         (_, isOpen) => {
           if (isOpen) {
-            this._renderPopupMenu();
+            this._syncInhibitorWarnings();
           }
         }
       );
 
+      Main.wm.addKeybinding(
+        TOGGLE_MENU_KEYBINDING,
+        this._settings,
+        Meta.KeyBindingFlags.NONE,
+        Shell.ActionMode.NORMAL | Shell.ActionMode.OVERVIEW,
+        () => this._toggleMenu()
+      );
+
+      this._scheduler.connect('changed', () => this._syncCountdown());
+      this._scheduler.connect('tick', () => this._syncCountdown());
+      this._scheduler.connect('due', (_scheduler, action, overdueSeconds) => {
+        this._runSessionAction(
+          { action },
+          { forceConfirm: overdueSeconds > OVERDUE_CONFIRM_SECONDS }
+        );
+      });
+
+      this._screenSharing.connect('changed', () => {
+        if (this._settings.get_boolean('recent-hide-while-sharing')) {
+          this._renderPopupMenu();
+        }
+      });
+
       this._setIcon();
       this._syncActivitiesVisibility();
+      this._syncOverlayKey();
+      this._syncItemAccelerators();
+      this._scheduler.start();
+      this._recentItems.reload();
       this._renderPopupMenu();
     }
 
@@ -112,11 +214,24 @@ export const KiwiMenu = GObject.registerClass(
       this._settingsSignalIds.forEach((id) => this._settings.disconnect(id));
       this._settingsSignalIds = [];
 
+      Main.wm.removeKeybinding(TOGGLE_MENU_KEYBINDING);
+      this._restoreOverlayKey();
+      this._itemAccelerators.destroy();
+      // The schedule itself stays in settings and resumes on enable.
+      this._scheduler.destroy();
+      this._recentItems.destroy();
+      this._screenSharing.destroy();
+
       if (this._menuOpenSignalId !== 0) {
         this.menu.disconnect(this._menuOpenSignalId);
         this._menuOpenSignalId = 0;
       }
 
+      if (this._installedChangedId !== 0) {
+        Shell.AppSystem.get_default().disconnect(this._installedChangedId);
+        this._installedChangedId = 0;
+      }
+
       this._showActivitiesButton();
 
       this._settings = null;
@@ -139,6 +254,20 @@ export const KiwiMenu = GObject.registerClass(
       this._icon.gicon = Gio.icon_new_for_string(iconPath);
     }
 
+    _syncCountdown() {
+      const pending = this._scheduler.pending;
+      this._countdownLabel.visible = pending !== null;
+      if (pending) {
+        this._countdownLabel.text = formatCountdown(this._scheduler.getSecondsLeft());
+      }
+    }
+
+    _loadLayout() {
+      return Object.freeze(
+        readLayout(this._settings, this._extensionPath).map((item) => Object.freeze(item))
+      );
+    }
+
     _syncActivitiesVisibility() {
       const container = this._getActivitiesContainer();
       if (!container) {
@@ -157,6 +286,92 @@ export const KiwiMenu = GObject.registerClass(
       return this._extension?.gettext(text) ?? text;
     }
 
+    _ngettext(singular, plural, count) {
+      return this._extension?.ngettext(singular, plural, count) ?? (count === 1 ? singular : plural);
+    }
+
+    _toggleMenu() {
+      if (Main.overview.visible) {
+        Main.overview.hide();
+      }
+
+      this.menu.toggle();
+    }
+
+    _syncOverlayKey() {
+      // Only take over the Super key when Activities is hidden, otherwise
+      // the overview would become unreachable from the keyboard.
+      const shouldOverride =
+        this._settings.get_boolean('super-key-opens-menu') &&
+        !this._settings.get_boolean('activity-menu-visibility');
+
+      if (!shouldOverride) {
+        this._restoreOverlayKey();
+        return;
+      }
+
+      if (this._overlayKeyId) {
+        return;
+      }
+
+      const handlerId = GObject.signal_handler_find(global.display, { signalId: 'overlay-key' });
+      if (handlerId) {
+        GObject.signal_handler_block(global.display, handlerId);
+        this._blockedOverlayKeyHandlerId = handlerId;
+      }
+
+      this._overlayKeyId = global.display.connect('overlay-key', () => {
+        if (Main.actionMode === Shell.ActionMode.NORMAL || Main.actionMode === Shell.ActionMode.OVERVIEW) {
+          this._toggleMenu();
+        }
+      });
+    }
+
+    _syncItemAccelerators() {
+      const bindings = [];
+      const collectBindings = (items) => {
+        for (const item of items) {
+          if (item.hidden) {
+            continue;
+          }
+
+          if (item.type === 'submenu') {
+            collectBindings(item.items);
+          } else if (item.type === 'menu' && item.accelerator) {
+            bindings.push({
+              accelerator: item.accelerator,
+              callback: () => this._activateLayoutItem(item),
+            });
+          }
+        }
+      };
+      collectBindings(this._layout ?? []);
+
+      this._itemAccelerators.setBindings(bindings);
+    }
+
+    _activateLayoutItem(item) {
+      // Resolve settings-backed commands on use so accelerators follow
+      // changes such as a new App Store command without a re-grab.
+      const cmds = item.commandSettingKey
+        ? this._resolveCommandFromSettings(item.commandSettingKey, item.cmds ? [...item.cmds] : undefined)
+        : item.cmds;
+
+      this._activateMenuItem({ ...item, cmds });
+    }
+
+    _restoreOverlayKey() {
+      if (this._overlayKeyId) {
+        global.display.disconnect(this._overlayKeyId);
+        this._overlayKeyId = 0;
+      }
+
+      if (this._blockedOverlayKeyHandlerId) {
+        GObject.signal_handler_unblock(global.display, this._blockedOverlayKeyHandlerId);
+        this._blockedOverlayKeyHandlerId = 0;
+      }
+    }
+
     _showActivitiesButton() {
       const container = this._getActivitiesContainer();
       if (container) {
@@ -182,31 +397,72 @@ export const KiwiMenu = GObject.registerClass(
       return activitiesEntry.container ?? activitiesEntry;
     }
 
-    async _renderPopupMenu() {
-      this.menu.removeAll();
+    _renderPopupMenu() {
+      this._rebuildPopupMenu().catch((error) => logError(error, 'Failed to render Kiwi Menu'));
+    }
 
+    async _rebuildPopupMenu() {
+      const renderSerial = ++this._renderSerial;
       const layout = await this._generateLayout();
-      let customMenuAdded = false;
 
-      layout.forEach((item) => {
+      // A newer render (e.g. a live layout change) superseded this one.
+      if (renderSerial !== this._renderSerial || !this._settings) {
+        return;
+      }
+
+      this.menu.removeAll();
+      this._renderItems(layout, this.menu);
+    }
+
+    _syncInhibitorWarnings() {
+      // Listing blocking applications can take a while, the entries are
+      // marked once it is done instead of holding back the menu.
+      const serial = ++this._inhibitorsSerial;
+      listSessionInhibitors()
+        .then((inhibitors) => {
+          if (serial !== this._inhibitorsSerial || !this._settings) {
+            return;
+          }
+
+          this._inhibitors = inhibitors;
+          this._inhibitorWarnings.forEach((action, warning) => {
+            warning.visible = this._isInhibited(action);
+          });
+        })
+        .catch((error) => logError(error, 'Failed to list session inhibitors'));
+    }
+
+    _isInhibited(action) {
+      return getInhibitorsForAction(this._inhibitors, action).length > 0;
+    }
+
+    _renderItems(items, menu) {
+      const showIcons = this._settings.get_boolean('show-menu-icons');
+      const iconOptions = {
+        showIcons,
+        // Keep labels aligned once any entry of this menu shows an icon.
+        reserveIconSpace: showIcons && items.some((item) => this._hasIcon(item)),
+      };
+
+      items.forEach((item) => {
         switch (item.type) {
           case 'menu':
-            this._makeMenu(item.title, item.cmds);
-            
-            // Add custom menu item right after App Store entry
-            if (!customMenuAdded && item.commandSettingKey === 'app-store-command') {
-              const customItem = createCustomMenuItem(this._settings, this._gettext.bind(this));
-              if (customItem) {
-                this.menu.addMenuItem(customItem);
-              }
-              customMenuAdded = true;
-            }
+            this._makeMenu(item, menu, iconOptions);
+            break;
+          case 'custom':
+            this._makeCustomMenu(item.entry, menu, iconOptions);
+            break;
+          case 'submenu':
+            this._makeSubmenu(item, iconOptions);
             break;
           case 'recent-items':
-            this._makeRecentItemsMenu(item.title);
+            this._makeRecentItemsMenu(item, iconOptions);
+            break;
+          case 'schedule':
+            this._makeScheduleSubmenu(item, iconOptions);
             break;
           case 'separator':
-            this._makeSeparator();
+            this._makeSeparator(menu);
             break;
         }
       });
@@ -216,38 +472,185 @@ export const KiwiMenu = GObject.registerClass(
       const fullName = GLib.get_real_name() || GLib.get_user_name() || '';
 
       const layoutSource = this._layout ?? [];
-      const hasMultipleUsers = await this._hasMultipleLoginUsers();
+      const [conditions, restartTargets] = await Promise.all([
+        evaluateLayoutConditions(layoutSource, {
+          hasMultipleUsers: () => this._hasMultipleLoginUsers(),
+        }),
+        this._layoutHasType(layoutSource, 'restart-into')
+          ? listRestartTargets(this._gettext.bind(this))
+          : [],
+      ]);
+      const customItems = readCustomItems(this._settings).filter((entry) => entry.enabled);
+      const context = {
+        fullName,
+        conditions,
+        restartTargets,
+        customItemsById: new Map(customItems.map((entry) => [entry.id, entry])),
+        customItemsByAnchor: this._groupCustomItemsByAnchor(layoutSource, customItems),
+      };
+
+      return [
+        ...this._customItemsAt(CUSTOM_ITEM_POSITION_TOP, context),
+        ...this._resolveLayoutItems(layoutSource, context),
+        ...this._customItemsAt(CUSTOM_ITEM_POSITION_BOTTOM, context),
+      ];
+    }
+
+    _resolveLayoutItems(layoutSource, context) {
       const items = [];
 
       for (const item of layoutSource) {
-        let translatedTitle = item.title ? this._gettext(item.title) : item.title;
-        let cmds = item.cmds ? [...item.cmds] : undefined;
+        const outputItem = this._resolveLayoutItem(item, context);
+        if (outputItem) {
+          items.push(outputItem);
+        }
 
-        if (item.type === 'menu' && item.commandSettingKey) {
-          cmds = this._resolveCommandFromSettings(item.commandSettingKey, cmds);
+        // Custom items stay anchored even when their anchor entry is hidden.
+        if (item.id && item.type !== 'custom') {
+          items.push(...this._customItemsAt(item.id, context));
         }
+      }
 
-        let title = translatedTitle;
-        if (item.type === 'menu' && cmds?.includes('--logout')) {
-          title = fullName
-            ? this._gettext('Log Out %s...').format(fullName)
-            : translatedTitle;
+      return items;
+    }
+
+    _resolveLayoutItem(item, context) {
+      if (item.hidden) {
+        return null;
+      }
+
+      // Never offer entries that cannot work on this system or session.
+      if (!getItemConditions(item).every((condition) => context.conditions.get(condition))) {
+        return null;
+      }
+
+      if (item.type === 'custom') {
+        const entry = context.customItemsById.get(item.id);
+        return entry ? { type: 'custom', entry } : null;
+      }
+
+      if (item.type === 'restart-into') {
+        return this._resolveRestartIntoItem(item, context);
+      }
+
+      if (item.type === 'submenu') {
+        const children = this._resolveLayoutItems(item.items, context);
+        if (!children.some((child) => child.type !== 'separator')) {
+          return null;
         }
 
-        const outputItem = {
+        return {
           ...item,
-          title,
-          cmds,
+          title: this._gettext(item.title),
+          items: children,
         };
+      }
+
+      let translatedTitle = item.title ? this._gettext(item.title) : item.title;
+      let cmds = item.cmds ? [...item.cmds] : undefined;
+
+      if (item.type === 'menu' && item.commandSettingKey) {
+        cmds = this._resolveCommandFromSettings(item.commandSettingKey, cmds);
+      }
+
+      let title = translatedTitle;
+      if (item.type === 'menu' && item.action === 'logout') {
+        title = context.fullName
+          ? this._gettext('Log Out %s...').format(context.fullName)
+          : translatedTitle;
+      }
+
+      return {
+        ...item,
+        title,
+        cmds,
+      };
+    }
+
+    _resolveRestartIntoItem(item, context) {
+      const bootEntries = context.restartTargets.filter(({ bootEntry }) => bootEntry);
+      const firmwareTargets = context.restartTargets.filter(({ bootEntry }) => !bootEntry);
+      const toMenuItem = ({ action, bootEntry, title }) => ({
+        type: 'menu',
+        action,
+        bootEntry,
+        title,
+      });
+
+      const children = bootEntries.map(toMenuItem);
+      if (children.length > 0 && firmwareTargets.length > 0) {
+        children.push({ type: 'separator' });
+      }
+      children.push(...firmwareTargets.map(toMenuItem));
+
+      if (children.length === 0) {
+        return null;
+      }
+
+      // Rendered like any other submenu.
+      return {
+        type: 'submenu',
+        id: item.id,
+        icon: item.icon,
+        title: this._gettext(item.title),
+        items: children,
+      };
+    }
+
+    _layoutHasType(items, type) {
+      return items.some(
+        (item) =>
+          !item.hidden &&
+          (item.type === type || (item.type === 'submenu' && this._layoutHasType(item.items, type)))
+      );
+    }
 
-        if (outputItem.requiresMultipleUsers && !hasMultipleUsers) {
+    _customItemsAt(anchor, context) {
+      return (context.customItemsByAnchor.get(anchor) ?? []).map((entry) => ({
+        type: 'custom',
+        entry,
+      }));
+    }
+
+    _groupCustomItemsByAnchor(layoutSource, customItems) {
+      const layoutIds = new Set();
+      const referencedIds = new Set();
+      const collectIds = (items) => {
+        for (const item of items) {
+          if (item.type === 'custom') {
+            referencedIds.add(item.id);
+          } else if (item.id) {
+            layoutIds.add(item.id);
+          }
+
+          if (item.type === 'submenu') {
+            collectIds(item.items);
+          }
+        }
+      };
+      collectIds(layoutSource);
+
+      const groups = new Map();
+
+      for (const entry of customItems) {
+        // Entries placed explicitly by a `custom` layout entry ignore their position.
+        if (referencedIds.has(entry.id)) {
           continue;
         }
 
-        items.push(outputItem);
+        // Entries anchored to a removed layout item fall back to the end.
+        const anchor =
+          entry.position === CUSTOM_ITEM_POSITION_TOP || layoutIds.has(entry.position)
+            ? entry.position
+            : CUSTOM_ITEM_POSITION_BOTTOM;
+
+        if (!groups.has(anchor)) {
+          groups.set(anchor, []);
+        }
+        groups.get(anchor).push(entry);
       }
 
-      return items;
+      return groups;
     }
 
     async _hasMultipleLoginUsers() {
@@ -311,30 +714,182 @@ export const KiwiMenu = GObject.registerClass(
       }
     }
 
-    _makeMenu(title, cmds) {
-      const menuItem = new PopupMenu.PopupMenuItem(title);
-      const isForceQuit = Array.isArray(cmds) && cmds.length === 1 && cmds[0] === 'xkill';
+    _hasIcon(item) {
+      switch (item.type) {
+        case 'custom':
+          return (
+            Boolean(item.entry.icon) ||
+            parseLaunchTarget(item.entry.command)?.kind === 'application'
+          );
+        case 'separator':
+          return false;
+        default:
+          return Boolean(item.icon) || Boolean(item.app);
+      }
+    }
+
+    _makeMenu(item, menu = this.menu, { showIcons = true, reserveIconSpace = false } = {}) {
+      const target = getLayoutItemTarget(item);
+      const app = target?.kind === 'application' ? lookupApp(target.appId) : null;
+      const title = item.title || app?.get_name() || target?.appId || '';
+      const gicon = showIcons ? resolveIcon(item.icon) ?? app?.get_icon() ?? null : null;
+      const menuItem = createMenuItemWithIcon(title, gicon, null, reserveIconSpace);
+
+      if (item.action) {
+        // Shown while an application blocks the action, see _syncInhibitorWarnings().
+        const warning = new St.Icon({
+          icon_name: 'dialog-warning-symbolic',
+          style_class: 'popup-menu-icon kiwi-menu-inhibitor-warning',
+          y_align: Clutter.ActorAlign.CENTER,
+          visible: this._isInhibited(item.action),
+        });
+        warning.connect('destroy', () => this._inhibitorWarnings.delete(warning));
+        this._inhibitorWarnings.set(warning, item.action);
+        menuItem.add_child(warning);
+      }
+
+      const shortcut = formatAccelerator(item.accelerator);
+      if (shortcut) {
+        menuItem.add_child(
+          new St.Label({
+            text: shortcut,
+            style_class: 'kiwi-menu-accelerator popup-inactive-menu-item',
+            x_align: Clutter.ActorAlign.END,
+            y_align: Clutter.ActorAlign.CENTER,
+          })
+        );
+      }
+
+      menuItem.connect('activate', () => this._activateMenuItem(item));
+      menu.addMenuItem(menuItem);
+    }
+
+    async _activateMenuItem(item) {
+      const target = getLayoutItemTarget(item);
+      const isForceQuit =
+        target?.kind === 'command' && target.argv.length === 1 && target.argv[0] === 'xkill';
+
+      if (isForceQuit) {
+        this.menu.close(true);
+        this._openForceQuitOverlay();
+        return;
+      }
+
+      if (target?.kind === 'session') {
+        this.menu.close(true);
+        await this._runSessionAction(target);
+        return;
+      }
+
+      launchTarget(target, this._gettext.bind(this));
+    }
+
+    async _runSessionAction({ action, bootEntry }, { forceConfirm = false } = {}) {
+      // Restarting into another target is confirmed like a restart.
+      const confirmAction = action.startsWith('reboot-') ? 'reboot' : action;
+      const inhibitors = getInhibitorsForAction(await listSessionInhibitors(), action);
+
+      // Blocking applications are always shown before acting.
+      const confirm =
+        forceConfirm ||
+        inhibitors.length > 0 ||
+        Boolean(this._settings?.get_strv(CONFIRM_ACTIONS_SETTING_KEY).includes(confirmAction));
+      if (confirm && !(await confirmSessionAction(confirmAction, this._extension, { inhibitors }))) {
+        return;
+      }
+
+      await runSessionAction(action, this._gettext.bind(this), { bootEntry, confirmed: confirm });
+    }
+
+    _makeCustomMenu(entry, menu = this.menu, iconOptions = {}) {
+      const customItem = createCustomMenuItem(entry, this._gettext.bind(this), iconOptions);
+      if (customItem) {
+        // Labels rarely tell what exactly an entry runs.
+        attachTooltip(customItem, entry.command.trim(), this._settings);
+        menu.addMenuItem(customItem);
+      }
+    }
+
+    _makeSubmenu(item, { showIcons = true, reserveIconSpace = false } = {}) {
+      const submenuItem = new LayoutSubmenu(item.title, this.menu, this._submenuManager, (menu) => {
+        this._renderItems(item.items, menu);
+
+        // Entries of the side popup do not close the main menu on their own.
+        menu._getMenuItems().forEach((child) => {
+          if (child instanceof PopupMenu.PopupBaseMenuItem) {
+            child.connect('activate', () => this.menu.close(true));
+          }
+        });
+      });
+      submenuItem.setIcon(showIcons ? resolveIcon(item.icon) : null, reserveIconSpace);
+      this.menu.addMenuItem(submenuItem);
+    }
 
-      menuItem.connect('activate', () => {
-        if (isForceQuit) {
-          this.menu.close(true);
-          this._openForceQuitOverlay();
-          return;
+    _makeScheduleSubmenu(item, { showIcons = true, reserveIconSpace = false } = {}) {
+      const submenuItem = new LayoutSubmenu(item.title, this.menu, this._submenuManager, (menu) => {
+        const addMenuItem = (label, callback) => {
+          const menuItem = new PopupMenu.PopupMenuItem(label);
+          menuItem.connect('activate', () => {
+            this.menu.close(true);
+            callback();
+          });
+          menu.addMenuItem(menuItem);
+        };
+
+        const pending = this._scheduler.pending;
+        if (pending) {
+          const status = new PopupMenu.PopupMenuItem(
+            this._gettext('%s in %s').format(
+              getSessionActionLabel(pending.action, this._gettext.bind(this)),
+              formatCountdown(this._scheduler.getSecondsLeft())
+            ),
+            { reactive: false }
+          );
+          menu.addMenuItem(status);
+          addMenuItem(this._gettext('Cancel Scheduled Action'), () => this._scheduler.cancel());
+          menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
         }
 
-        Util.spawn(cmds);
+        SCHEDULE_PRESET_MINUTES.forEach((minutes) => {
+          const label = minutes % 60 === 0
+            ? this._ngettext('In %d Hour', 'In %d Hours', minutes / 60).format(minutes / 60)
+            : this._ngettext('In %d Minute', 'In %d Minutes', minutes).format(minutes);
+          addMenuItem(label, () => this._scheduler.schedule(item.action, minutes * 60));
+        });
+
+        addMenuItem(this._gettext('Custom…'), () => {
+          const dialog = new ScheduleDialog(
+            getSessionActionLabel(item.action, this._gettext.bind(this)),
+            this._extension,
+            (minutes) => this._scheduler.schedule(item.action, minutes * 60)
+          );
+          dialog.open();
+        });
       });
-      this.menu.addMenuItem(menuItem);
+      submenuItem.setIcon(showIcons ? resolveIcon(item.icon) : null, reserveIconSpace);
+      this.menu.addMenuItem(submenuItem);
     }
 
-    _makeRecentItemsMenu(title) {
-      const submenuItem = new RecentItemsSubmenu(title, this.menu, this._recentMenuManager, this._extension);
+    _makeRecentItemsMenu(item, { showIcons = true, reserveIconSpace = false } = {}) {
+      if (this._screenSharing.active && this._settings.get_boolean('recent-hide-while-sharing')) {
+        return;
+      }
+
+      const submenuItem = new RecentItemsSubmenu(
+        item.title,
+        this.menu,
+        this._submenuManager,
+        this._extension,
+        this._recentItems,
+        this._settings
+      );
+      submenuItem.setIcon(showIcons ? resolveIcon(item.icon) : null, reserveIconSpace);
       this.menu.addMenuItem(submenuItem);
     }
 
-    _makeSeparator() {
+    _makeSeparator(menu = this.menu) {
       const separator = new PopupMenu.PopupSeparatorMenuItem();
-      this.menu.addMenuItem(separator);
+      menu.addMenuItem(separator);
     }
 
     _openForceQuitOverlay() {
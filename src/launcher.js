@@ -0,0 +1,87 @@
+/*
+ * SPDX-License-Identifier: GPL-3.0-or-later
+ * launcher.js - Launches applications, URIs and commands for menu entries.
+ */
+
+import Gio from 'gi://Gio';
+import Shell from 'gi://Shell';
+
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+import * as Util from 'resource:///org/gnome/shell/misc/util.js';
+
+/**
+ * Looks up an installed application by its desktop ID.
+ *
+ * @param {string} appId - Desktop ID, with or without the `.desktop` suffix
+ * @returns {Shell.App|null} The application or null when not installed
+ */
+export function lookupApp(appId) {
+  if (!appId) {
+    return null;
+  }
+
+  const appSystem = Shell.AppSystem.get_default();
+  const desktopId = appId.endsWith('.desktop') ? appId : `${appId}.desktop`;
+  return appSystem.lookup_app(desktopId) ?? null;
+}
+
+/**
+ * Launches a target as returned by getLayoutItemTarget() or
+ * parseLaunchTarget(). Applications go through Shell.AppSystem so they get
+ * startup notification and usage tracking; URIs open in their default
+ * handler.
+ *
+ * @param {object} target - Target with a `kind` of application, uri or command
+ * @param {Function} gettextFunc - Translation function
+ */
+export function launchTarget(target, gettextFunc) {
+  const _ = gettextFunc ?? ((text) => text);
+
+  switch (target?.kind) {
+    case 'application': {
+      const app = lookupApp(target.appId);
+      if (!app) {
+        notifyLaunchFailure(
+          _('Application unavailable'),
+          _('Could not launch "%s".').format(target.appId)
+        );
+        return;
+      }
+
+      try {
+        app.activate();
+      } catch (error) {
+        notifyLaunchFailure(
+          _('Application unavailable'),
+          _('Could not launch "%s".').format(app.get_name())
+        );
+        logError(error, `Failed to launch application: ${target.appId}`);
+      }
+      break;
+    }
+    case 'uri':
+      try {
+        const context = global.create_app_launch_context(0, -1);
+        Gio.AppInfo.launch_default_for_uri(target.uri, context);
+      } catch (error) {
+        notifyLaunchFailure(
+          _('Item unavailable'),
+          _('Could not open "%s".').format(target.uri)
+        );
+        logError(error, `Failed to open URI: ${target.uri}`);
+      }
+      break;
+    case 'command':
+      // Util.spawn reports failures through a shell notification itself.
+      Util.spawn(target.argv);
+      break;
+  }
+}
+
+function notifyLaunchFailure(title, message) {
+  try {
+    Main.notifyError(title, message);
+  } catch (error) {
+    logError(error, 'Failed to display Kiwi Menu notification');
+  }
+}
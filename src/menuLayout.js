@@ -0,0 +1,434 @@
+/*
+ * SPDX-License-Identifier: GPL-3.0-or-later
+ * menuLayout.js - Loads and stores the user-editable Kiwi Menu layout.
+ *
+ * Shared by the shell side and the preferences window, so it must only
+ * depend on GLib/Gio.
+ */
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+export const LAYOUT_SETTING_KEY = 'menu-layout';
+export const LAYOUT_ITEM_TYPES = Object.freeze([
+  'menu',
+  'separator',
+  'recent-items',
+  'submenu',
+  'custom',
+  'restart-into',
+  'schedule',
+]);
+export const SUBMENU_CHILD_TYPES = Object.freeze(['menu', 'separator', 'custom']);
+export const SESSION_ACTIONS = Object.freeze([
+  'suspend',
+  'hibernate',
+  'hybrid-sleep',
+  'reboot',
+  'power-off',
+  'reboot-to-firmware',
+  'reboot-to-boot-entry',
+  'logout',
+  'lock',
+]);
+
+// Session actions that only show when logind reports them as available.
+const SESSION_ACTION_CONDITIONS = {
+  suspend: 'can-suspend',
+  hibernate: 'can-hibernate',
+  'hybrid-sleep': 'can-hybrid-sleep',
+  reboot: 'can-reboot',
+  'power-off': 'can-power-off',
+  'reboot-to-firmware': 'can-reboot-to-firmware',
+  'reboot-to-boot-entry': 'can-reboot-to-boot-loader-entry',
+};
+
+// Session commands of layouts saved before entries carried an `action`.
+const LEGACY_SESSION_COMMANDS = new Map([
+  ['systemctl suspend', 'suspend'],
+  ['gnome-session-quit --reboot', 'reboot'],
+  ['gnome-session-quit --power-off', 'power-off'],
+  ['gnome-session-quit --logout', 'logout'],
+  ['loginctl lock-session', 'lock'],
+]);
+
+export const CUSTOM_ITEMS_SETTING_KEY = 'custom-menu-items';
+export const CUSTOM_ITEM_POSITION_TOP = 'top';
+export const CUSTOM_ITEM_POSITION_BOTTOM = 'bottom';
+export const DEFAULT_CUSTOM_ITEM_POSITION = 'app-store';
+
+/**
+ * Loads the factory default layout bundled with the extension.
+ *
+ * @param {string} extensionPath - Root directory of the extension
+ * @returns {Array<object>} The default layout, or an empty list on failure
+ */
+export function loadDefaultLayout(extensionPath) {
+  const textDecoder = new TextDecoder();
+  const filePath = GLib.build_filenamev([extensionPath, 'src', 'menulayout.json']);
+
+  try {
+    const file = Gio.File.new_for_path(filePath);
+    const [, contents] = file.load_contents(null);
+    return sanitizeLayout(JSON.parse(textDecoder.decode(contents))) ?? [];
+  } catch (error) {
+    logError(error, `Failed to load default menu layout from ${filePath}`);
+    return [];
+  }
+}
+
+/**
+ * Parses a serialized layout as stored in settings.
+ *
+ * @param {string} serialized - JSON encoded list of layout items
+ * @returns {Array<object>|null} The layout, or null when unset or invalid
+ */
+export function parseLayout(serialized) {
+  const trimmed = serialized?.trim?.() ?? '';
+  if (trimmed.length === 0) {
+    return null;
+  }
+
+  try {
+    return sanitizeLayout(JSON.parse(trimmed));
+  } catch (error) {
+    logError(error, 'Failed to parse menu layout setting');
+    return null;
+  }
+}
+
+/**
+ * Returns the effective layout: the user layout from settings when set,
+ * otherwise the bundled default.
+ *
+ * @param {Gio.Settings} settings - The extension settings object
+ * @param {string} extensionPath - Root directory of the extension
+ * @returns {Array<object>} The effective layout
+ */
+export function readLayout(settings, extensionPath) {
+  let userLayout = null;
+  try {
+    userLayout = parseLayout(settings?.get_string(LAYOUT_SETTING_KEY));
+  } catch (error) {
+    logError(error, `Failed to read '${LAYOUT_SETTING_KEY}' setting`);
+  }
+
+  return userLayout ?? loadDefaultLayout(extensionPath);
+}
+
+/**
+ * Stores a layout in settings, dropping entries that are not understood.
+ *
+ * @param {Gio.Settings} settings - The extension settings object
+ * @param {Array<object>} layout - The layout to store
+ */
+export function writeLayout(settings, layout) {
+  const sanitized = sanitizeLayout(layout) ?? [];
+  settings.set_string(LAYOUT_SETTING_KEY, JSON.stringify(sanitized));
+}
+
+/**
+ * Drops the user layout so the bundled default applies again.
+ *
+ * @param {Gio.Settings} settings - The extension settings object
+ */
+export function resetLayout(settings) {
+  settings.reset(LAYOUT_SETTING_KEY);
+}
+
+export function isValidLayoutItem(item) {
+  if (!item || typeof item !== 'object' || !LAYOUT_ITEM_TYPES.includes(item.type)) {
+    return false;
+  }
+
+  if (item.id !== undefined && typeof item.id !== 'string') {
+    return false;
+  }
+
+  if (item.accelerator !== undefined && typeof item.accelerator !== 'string') {
+    return false;
+  }
+
+  if (item.action !== undefined && !SESSION_ACTIONS.includes(item.action)) {
+    return false;
+  }
+
+  if (
+    item.requires !== undefined &&
+    typeof item.requires !== 'string' &&
+    !(Array.isArray(item.requires) && item.requires.every((condition) => typeof condition === 'string'))
+  ) {
+    return false;
+  }
+
+  switch (item.type) {
+    case 'menu':
+      if (item.action !== undefined) {
+        // Built-in session actions run without a command.
+        return (
+          typeof item.title === 'string' &&
+          (item.action !== 'reboot-to-boot-entry' || typeof item.bootEntry === 'string')
+        );
+      }
+
+      if (typeof item.app === 'string' && item.app.length > 0) {
+        // Application entries default to the application's own name.
+        return item.title === undefined || typeof item.title === 'string';
+      }
+
+      if (typeof item.title !== 'string') {
+        return false;
+      }
+
+      if (typeof item.uri === 'string' && item.uri.length > 0) {
+        return true;
+      }
+
+      return (
+        Array.isArray(item.cmds) &&
+        item.cmds.length > 0 &&
+        item.cmds.every((arg) => typeof arg === 'string')
+      );
+    case 'recent-items':
+    case 'restart-into':
+      return typeof item.title === 'string';
+    case 'schedule':
+      // Boot entries are picked at restart time, so they cannot be scheduled.
+      return (
+        typeof item.title === 'string' &&
+        typeof item.action === 'string' &&
+        item.action !== 'reboot-to-boot-entry'
+      );
+    case 'submenu':
+      return (
+        typeof item.title === 'string' &&
+        Array.isArray(item.items) &&
+        item.items.every(
+          (child) => SUBMENU_CHILD_TYPES.includes(child?.type) && isValidLayoutItem(child)
+        )
+      );
+    case 'custom':
+      // References an entry of the custom-menu-items setting by id.
+      return typeof item.id === 'string';
+    default:
+      return true;
+  }
+}
+
+/**
+ * Returns what a layout `menu` entry launches: a built-in session `action`,
+ * an application ID (`app`), a URI (`uri`) or an argv command (`cmds`).
+ *
+ * @param {object} item - A layout entry
+ * @returns {object|null} Target with a `kind` of session, application, uri
+ *   or command
+ */
+export function getLayoutItemTarget(item) {
+  if (SESSION_ACTIONS.includes(item?.action)) {
+    return { kind: 'session', action: item.action, bootEntry: item.bootEntry };
+  }
+
+  if (typeof item?.app === 'string' && item.app.length > 0) {
+    return { kind: 'application', appId: item.app };
+  }
+
+  if (typeof item?.uri === 'string' && item.uri.length > 0) {
+    return { kind: 'uri', uri: item.uri };
+  }
+
+  if (Array.isArray(item?.cmds) && item.cmds.length > 0) {
+    return { kind: 'command', argv: [...item.cmds] };
+  }
+
+  return null;
+}
+
+/**
+ * Lists the conditions an entry needs to be shown: its `requires` field
+ * (one condition or a list), the capability of its session action and the
+ * older `requiresMultipleUsers` flag.
+ *
+ * @param {object} item - A layout entry
+ * @returns {Array<string>} Conditions such as `can-suspend`,
+ *   `has-binary:gnome-software` or `session-mode:user`
+ */
+export function getItemConditions(item) {
+  const conditions = [];
+
+  if (typeof item?.requires === 'string') {
+    conditions.push(item.requires);
+  } else if (Array.isArray(item?.requires)) {
+    conditions.push(...item.requires);
+  }
+
+  if (SESSION_ACTION_CONDITIONS[item?.action]) {
+    conditions.push(SESSION_ACTION_CONDITIONS[item.action]);
+  }
+
+  if (item?.requiresMultipleUsers) {
+    conditions.push('multiple-users');
+  }
+
+  return [...new Set(conditions)];
+}
+
+/**
+ * Interprets the command text of a custom item. A single word ending in
+ * `.desktop` names an application, a single word with a URI scheme is
+ * opened with its default handler, anything else is a command line.
+ *
+ * @param {string} text - The command text entered by the user
+ * @returns {object|null} Target with a `kind` of application, uri or command
+ */
+export function parseLaunchTarget(text) {
+  const trimmed = text?.trim?.() ?? '';
+  if (trimmed.length === 0) {
+    return null;
+  }
+
+  if (!/\s/.test(trimmed)) {
+    if (trimmed.endsWith('.desktop')) {
+      return { kind: 'application', appId: trimmed };
+    }
+
+    if (GLib.uri_peek_scheme(trimmed)) {
+      return { kind: 'uri', uri: trimmed };
+    }
+  }
+
+  return { kind: 'command', commandLine: trimmed };
+}
+
+/**
+ * Returns the custom menu items from settings. Until the list has been
+ * edited, the legacy single custom item keys are honoured.
+ *
+ * @param {Gio.Settings} settings - The extension settings object
+ * @returns {Array<object>} Custom items with id, label, command, icon,
+ *   position and enabled fields
+ */
+export function readCustomItems(settings) {
+  if (!settings) {
+    return [];
+  }
+
+  try {
+    if (settings.get_user_value(CUSTOM_ITEMS_SETTING_KEY) === null) {
+      return readLegacyCustomItem(settings);
+    }
+
+    const parsed = JSON.parse(settings.get_string(CUSTOM_ITEMS_SETTING_KEY) || '[]');
+    if (!Array.isArray(parsed)) {
+      return [];
+    }
+
+    return parsed.map(normalizeCustomItem).filter(Boolean);
+  } catch (error) {
+    logError(error, `Failed to read '${CUSTOM_ITEMS_SETTING_KEY}' setting`);
+    return [];
+  }
+}
+
+/**
+ * Gives custom menu items written without an id (e.g. by hand) one and
+ * stores it. Positions and shortcuts refer to the id, so it has to stay
+ * the same from one read to the next. Call once before reading the items.
+ *
+ * @param {Gio.Settings} settings - The extension settings object
+ */
+export function migrateCustomItemIds(settings) {
+  if (settings.get_user_value(CUSTOM_ITEMS_SETTING_KEY) === null) {
+    return;
+  }
+
+  try {
+    const parsed = JSON.parse(settings.get_string(CUSTOM_ITEMS_SETTING_KEY) || '[]');
+    if (Array.isArray(parsed) && parsed.some((item) => item && typeof item === 'object' && !hasItemId(item))) {
+      writeCustomItems(settings, parsed);
+    }
+  } catch (error) {
+    logError(error, `Failed to migrate '${CUSTOM_ITEMS_SETTING_KEY}' setting`);
+  }
+}
+
+/**
+ * Stores the custom menu items in settings.
+ *
+ * @param {Gio.Settings} settings - The extension settings object
+ * @param {Array<object>} items - The custom items to store
+ */
+export function writeCustomItems(settings, items) {
+  const normalized = (items ?? []).map(normalizeCustomItem).filter(Boolean);
+  settings.set_string(CUSTOM_ITEMS_SETTING_KEY, JSON.stringify(normalized));
+}
+
+export function createItemId(prefix) {
+  return `${prefix}-${GLib.uuid_string_random().slice(0, 8)}`;
+}
+
+function hasItemId(item) {
+  return typeof item.id === 'string' && item.id.length > 0;
+}
+
+function normalizeCustomItem(item) {
+  if (!item || typeof item !== 'object') {
+    return null;
+  }
+
+  return {
+    id: hasItemId(item) ? item.id : createItemId('custom'),
+    label: typeof item.label === 'string' ? item.label : '',
+    command: typeof item.command === 'string' ? item.command : '',
+    icon: typeof item.icon === 'string' ? item.icon : '',
+    position: typeof item.position === 'string' ? item.position : DEFAULT_CUSTOM_ITEM_POSITION,
+    enabled: item.enabled !== false,
+  };
+}
+
+function readLegacyCustomItem(settings) {
+  const label = settings.get_string('custom-menu-label').trim();
+  const command = settings.get_string('custom-menu-command').trim();
+  if (label.length === 0 || command.length === 0) {
+    return [];
+  }
+
+  // A switched off item is kept as such, the next edit would drop it otherwise.
+  return [
+    normalizeCustomItem({
+      id: 'custom-legacy',
+      label,
+      command,
+      enabled: settings.get_boolean('custom-menu-enabled'),
+    }),
+  ];
+}
+
+function sanitizeLayout(data) {
+  if (!Array.isArray(data)) {
+    return null;
+  }
+
+  return data
+    .filter((item) => {
+      if (isValidLayoutItem(item)) {
+        return true;
+      }
+
+      log(`Kiwi Menu: ignoring invalid layout entry ${JSON.stringify(item)}`);
+      return false;
+    })
+    .map(upgradeLayoutItem);
+}
+
+function upgradeLayoutItem(item) {
+  if (item.type === 'submenu') {
+    return { ...item, items: item.items.map(upgradeLayoutItem) };
+  }
+
+  if (item.type !== 'menu' || item.action || !Array.isArray(item.cmds)) {
+    return item;
+  }
+
+  const action = LEGACY_SESSION_COMMANDS.get(item.cmds.join(' '));
+  return action ? { ...item, action } : item;
+}
@@ -0,0 +1,125 @@
+/*
+ * SPDX-License-Identifier: GPL-3.0-or-later
+ * recentItemFilters.js - Matches recent items and applications against the
+ * exclusion rules of the Recent Items settings.
+ */
+
+import GLib from 'gi://GLib';
+
+const EXCLUDE_PATHS_KEY = 'recent-exclude-paths';
+const EXCLUDE_MIME_TYPES_KEY = 'recent-exclude-mime-types';
+const EXCLUDE_SCHEMES_KEY = 'recent-exclude-schemes';
+const EXCLUDE_APPLICATIONS_KEY = 'recent-exclude-applications';
+
+function escapeRegExp(text) {
+  return text.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Turns a glob into a regular expression. `*` and `?` stay within one path
+ * component, `**` crosses folders and a trailing `/**` also matches the
+ * folder itself.
+ *
+ * @param {string} pattern - The glob
+ * @returns {RegExp} The matching expression
+ */
+function globToRegExp(pattern) {
+  const matchesFolder = pattern.endsWith('/**');
+  const body = matchesFolder ? pattern.slice(0, -'/**'.length) : pattern;
+
+  let source = '';
+  for (let index = 0; index < body.length; index++) {
+    const char = body[index];
+    if (char === '*' && body[index + 1] === '*') {
+      // `**/` may also stand for no folder at all.
+      if (body[index + 2] === '/') {
+        source += '(?:.*/)?';
+        index += 2;
+      } else {
+        source += '.*';
+        index++;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+
+  return new RegExp(`^${source}${matchesFolder ? '(?:/.*)?' : ''}$`);
+}
+
+function expandHome(pattern) {
+  if (pattern === '~') {
+    return GLib.get_home_dir();
+  }
+
+  return pattern.startsWith('~/')
+    ? GLib.build_filenamev([GLib.get_home_dir(), pattern.slice(2)])
+    : pattern;
+}
+
+function normalizeApplicationId(id) {
+  return id.replace(/\.desktop$/, '').toLowerCase();
+}
+
+function cleanList(values) {
+  return values.map((value) => value.trim()).filter((value) => value.length > 0);
+}
+
+/**
+ * Exclusion rules for the Recent Items submenu: path globs, MIME type globs
+ * (e.g. `image/*`), URI schemes and application IDs. Excluded applications
+ * also hide the files they registered.
+ */
+export class ExclusionRules {
+  constructor({ paths = [], mimeTypes = [], schemes = [], applications = [] } = {}) {
+    this._paths = cleanList(paths).map((pattern) => globToRegExp(expandHome(pattern)));
+    this._mimeTypes = cleanList(mimeTypes).map((pattern) => globToRegExp(pattern.toLowerCase()));
+    this._schemes = cleanList(schemes).map((scheme) => scheme.replace(/:.*$/, '').toLowerCase());
+    this._applications = cleanList(applications).map(normalizeApplicationId);
+  }
+
+  /**
+   * @param {Gio.Settings} settings - The extension settings
+   * @returns {ExclusionRules} The rules configured in the settings
+   */
+  static fromSettings(settings) {
+    return new ExclusionRules({
+      paths: settings.get_strv(EXCLUDE_PATHS_KEY),
+      mimeTypes: settings.get_strv(EXCLUDE_MIME_TYPES_KEY),
+      schemes: settings.get_strv(EXCLUDE_SCHEMES_KEY),
+      applications: settings.get_strv(EXCLUDE_APPLICATIONS_KEY),
+    });
+  }
+
+  /**
+   * @param {object} item - A recent item, see parseRecentItems()
+   * @returns {boolean} Whether any rule hides the item
+   */
+  excludesItem({ scheme, path, mimeType, applications }) {
+    if (this._schemes.includes(scheme?.toLowerCase())) {
+      return true;
+    }
+
+    if (scheme === 'file' && path && this._paths.some((regExp) => regExp.test(path))) {
+      return true;
+    }
+
+    if (mimeType && this._mimeTypes.some((regExp) => regExp.test(mimeType.toLowerCase()))) {
+      return true;
+    }
+
+    return (applications ?? []).some(({ name }) => this.excludesApplication(name));
+  }
+
+  /**
+   * @param {string} id - A desktop file ID or application name
+   * @returns {boolean} Whether the application is excluded
+   */
+  excludesApplication(id) {
+    return Boolean(id) && this._applications.includes(normalizeApplicationId(id));
+  }
+}
@@ -0,0 +1,350 @@
+/*
+ * SPDX-License-Identifier: GPL-3.0-or-later
+ * recentItemsModel.js - Keeps the recent files and application usage in
+ * memory. Both are read in the background and reloaded when their files
+ * change, so opening the Recent Items submenu never touches the disk.
+ */
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+import * as Signals from 'resource:///org/gnome/shell/misc/signals.js';
+import { queryFileInfo } from './fileActions.js';
+import { RECENT_ITEMS_FILE, loadRecentItems, removeRecentItems } from './xbel.js';
+
+export const APPLICATION_STATE_FILE = GLib.build_filenamev([
+  GLib.get_user_data_dir(),
+  'gnome-shell',
+  'application_state',
+]);
+
+// Writers replace the files in several steps, reload once they settle.
+const RELOAD_DELAY_MS = 250;
+const FILE_INFO_ATTRIBUTES = 'standard::type,standard::icon,standard::content-type';
+// Histories can hold thousands of files, only query a few at a time.
+const MAX_PENDING_QUERIES = 8;
+
+function isCancelled(error) {
+  return error.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED) ?? false;
+}
+
+function isNotFound(error) {
+  return error.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND) ?? false;
+}
+
+function loadTextFile(path, cancellable) {
+  return new Promise((resolve, reject) => {
+    Gio.File.new_for_path(path).load_contents_async(cancellable, (file, result) => {
+      try {
+        const [, contents] = file.load_contents_finish(result);
+        resolve(new TextDecoder().decode(contents));
+      } catch (error) {
+        reject(error);
+      }
+    });
+  });
+}
+
+function deleteFile(path) {
+  return new Promise((resolve, reject) => {
+    Gio.File.new_for_path(path).delete_async(GLib.PRIORITY_DEFAULT, null, (file, result) => {
+      try {
+        resolve(file.delete_finish(result));
+      } catch (error) {
+        if (isNotFound(error)) {
+          resolve(false);
+        } else {
+          reject(error);
+        }
+      }
+    });
+  });
+}
+
+function parseApplicationState(text) {
+  const state = new Map();
+  const regex = /<application\b([^>]*)\/>/g;
+  let match;
+
+  while ((match = regex.exec(text)) !== null) {
+    const attributes = match[1] ?? '';
+    const idMatch = /\bid="([^"]+)"/.exec(attributes);
+
+    if (!idMatch) {
+      continue;
+    }
+
+    const id = idMatch[1];
+    const scoreMatch = /\bscore="([^"]+)"/.exec(attributes);
+    const lastSeenMatch = /\blast-seen="([^"]+)"/.exec(attributes);
+    const score = scoreMatch ? Number.parseFloat(scoreMatch[1]) : 0;
+    const lastSeen = lastSeenMatch ? Number.parseInt(lastSeenMatch[1], 10) : 0;
+
+    state.set(id, {
+      score: Number.isFinite(score) ? score : 0,
+      lastSeen: Number.isFinite(lastSeen) ? lastSeen : 0,
+    });
+  }
+
+  return state;
+}
+
+/**
+ * Emits `changed` whenever the recent items or the application state were
+ * reloaded. File details are only looked up on request, see
+ * queryItemDetails().
+ */
+export class RecentItemsModel extends Signals.EventEmitter {
+  constructor() {
+    super();
+
+    this._items = [];
+    this._applicationState = new Map();
+    this._itemsSerial = 0;
+    this._detailQueries = new WeakMap();
+    this._pendingQueries = 0;
+    this._queuedQueries = [];
+    this._applicationStateSerial = 0;
+    this._cancellable = new Gio.Cancellable();
+    this._reloadTimeoutIds = new Map();
+    this._monitors = [
+      this._monitorFile(RECENT_ITEMS_FILE, () => this._loadItems()),
+      this._monitorFile(APPLICATION_STATE_FILE, () => this._loadApplicationState()),
+    ].filter(Boolean);
+  }
+
+  /**
+   * The recent items, newest first. Local files carry `exists` and `gicon`
+   * once queryItemDetails() looked them up, both are null until then.
+   *
+   * @returns {Array<object>} The items, see parseRecentItems()
+   */
+  get items() {
+    return this._items;
+  }
+
+  /**
+   * @returns {Map<string, {score: number, lastSeen: number}>} Usage per
+   *   desktop id, as recorded by GNOME Shell
+   */
+  get applicationState() {
+    return this._applicationState;
+  }
+
+  /**
+   * Reads both files again.
+   *
+   * @returns {Promise} Resolves once the lists are loaded
+   */
+  reload() {
+    return Promise.all([this._loadItems(), this._loadApplicationState()]);
+  }
+
+  /**
+   * Deletes the recent files list and optionally the application usage.
+   *
+   * @param {object} [options]
+   * @param {boolean} [options.applications] - Also forget application usage
+   */
+  async clear({ applications = false } = {}) {
+    const paths = [RECENT_ITEMS_FILE];
+    this._itemsSerial++;
+    this._items = [];
+
+    if (applications) {
+      paths.push(APPLICATION_STATE_FILE);
+      this._applicationStateSerial++;
+      this._applicationState = new Map();
+    }
+
+    this.emit('changed');
+
+    await Promise.all(
+      paths.map((path) =>
+        deleteFile(path).catch((error) => logError(error, `Failed to delete ${path}`))
+      )
+    );
+  }
+
+  /**
+   * Forgets single entries of the recent files list.
+   *
+   * @param {Array<string>} uris - The URIs to remove
+   */
+  async removeItems(uris) {
+    // Show the result right away, the file monitor picks up the rewrite.
+    this._itemsSerial++;
+    this._items = this._items.filter(({ uri }) => !uris.includes(uri));
+    this.emit('changed');
+
+    try {
+      await removeRecentItems(uris);
+    } catch (error) {
+      logError(error, 'Failed to remove recent items');
+    }
+  }
+
+  /**
+   * Looks up whether local files exist and which icon they have. Every item
+   * is only queried once, and `changed` is not emitted for the results.
+   *
+   * @param {Array<object>} items - Items to look up, other URIs are skipped
+   * @returns {Promise} Resolves once the details of all items are known
+   */
+  queryItemDetails(items) {
+    // Remote locations may need a mount or the network, only look at local files.
+    return Promise.all(
+      items.filter(({ uri }) => uri.startsWith('file://')).map((item) => this._queryDetails(item))
+    );
+  }
+
+  /**
+   * Removes the local files that no longer exist from the recent files list.
+   */
+  async removeMissingItems() {
+    const items = this._items;
+    await this.queryItemDetails(items);
+    await this.removeItems(items.filter(({ exists }) => exists === false).map(({ uri }) => uri));
+  }
+
+  destroy() {
+    // Loads still running must not report anything anymore.
+    this._itemsSerial++;
+    this._applicationStateSerial++;
+    this._cancellable.cancel();
+    this._queuedQueries.splice(0).forEach((resolve) => resolve());
+    this._reloadTimeoutIds.forEach((id) => GLib.source_remove(id));
+    this._reloadTimeoutIds.clear();
+    this._monitors.forEach(({ monitor, signalId }) => {
+      monitor.disconnect(signalId);
+      monitor.cancel();
+    });
+    this._monitors = [];
+  }
+
+  _monitorFile(path, reload) {
+    try {
+      const monitor = Gio.File.new_for_path(path).monitor_file(Gio.FileMonitorFlags.NONE, null);
+      const signalId = monitor.connect('changed', (_monitor, _file, _otherFile, eventType) => {
+        if (eventType !== Gio.FileMonitorEvent.ATTRIBUTE_CHANGED) {
+          this._scheduleReload(path, reload);
+        }
+      });
+
+      return { monitor, signalId };
+    } catch (error) {
+      logError(error, `Failed to monitor ${path}`);
+      return null;
+    }
+  }
+
+  _scheduleReload(path, reload) {
+    if (this._reloadTimeoutIds.has(path)) {
+      return;
+    }
+
+    const id = GLib.timeout_add(GLib.PRIORITY_DEFAULT, RELOAD_DELAY_MS, () => {
+      this._reloadTimeoutIds.delete(path);
+      reload();
+      return GLib.SOURCE_REMOVE;
+    });
+    GLib.Source.set_name_by_id(id, 'KiwiMenuRecentItemsReload');
+    this._reloadTimeoutIds.set(path, id);
+  }
+
+  async _loadItems() {
+    const serial = ++this._itemsSerial;
+
+    let items;
+    try {
+      items = await loadRecentItems(RECENT_ITEMS_FILE, this._cancellable);
+    } catch (error) {
+      if (!isCancelled(error)) {
+        logError(error, 'Failed to load recent items');
+      }
+      return;
+    }
+
+    // A newer load or a clear() replaced the list meanwhile.
+    if (serial !== this._itemsSerial) {
+      return;
+    }
+
+    this._items = items.map((item) => ({ ...item, exists: null, gicon: null }));
+    this.emit('changed');
+  }
+
+  _queryDetails(item) {
+    if (!this._detailQueries.has(item)) {
+      this._detailQueries.set(item, this._runDetailsQuery(item));
+    }
+
+    return this._detailQueries.get(item);
+  }
+
+  async _runDetailsQuery(item) {
+    await this._acquireQuerySlot();
+
+    try {
+      if (this._cancellable.is_cancelled()) {
+        return;
+      }
+
+      const info = await queryFileInfo(Gio.File.new_for_uri(item.uri), FILE_INFO_ATTRIBUTES, this._cancellable);
+      item.exists = true;
+      item.gicon = info.get_icon();
+      if (!item.mimeType) {
+        item.mimeType = info.get_content_type() ?? '';
+        item.isDirectory = info.get_file_type() === Gio.FileType.DIRECTORY;
+      }
+    } catch (error) {
+      if (isNotFound(error)) {
+        item.exists = false;
+      }
+    } finally {
+      this._releaseQuerySlot();
+    }
+  }
+
+  _acquireQuerySlot() {
+    if (this._pendingQueries < MAX_PENDING_QUERIES) {
+      this._pendingQueries++;
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve) => this._queuedQueries.push(resolve));
+  }
+
+  _releaseQuerySlot() {
+    // Hand the slot on to the next waiting query, if any.
+    const next = this._queuedQueries.shift();
+    if (next) {
+      next();
+    } else {
+      this._pendingQueries--;
+    }
+  }
+
+  async _loadApplicationState() {
+    const serial = ++this._applicationStateSerial;
+
+    let state;
+    try {
+      state = parseApplicationState(await loadTextFile(APPLICATION_STATE_FILE, this._cancellable));
+    } catch (error) {
+      if (isNotFound(error)) {
+        state = new Map();
+      } else {
+        if (!isCancelled(error)) {
+          logError(error, 'Failed to read recent applications state');
+        }
+        return;
+      }
+    }
+
+    if (serial === this._applicationStateSerial) {
+      this._applicationState = state;
+      this.emit('changed');
+    }
+  }
+}
@@ -10,127 +10,74 @@ import St from 'gi://St';
 import Clutter from 'gi://Clutter';
 import Shell from 'gi://Shell';
 
+import {formatTime} from 'resource:///org/gnome/shell/misc/dateUtils.js';
 import * as Main from 'resource:///org/gnome/shell/ui/main.js';
 import * as PopupMenu from 'resource:///org/gnome/shell/ui/popupMenu.js';
-import {DocumentTooltip} from './documentTooltip.js';
-
-// Limits for recent items per section
-const FILES_RECENT_LIMIT = 12;
-const APPLICATIONS_RECENT_LIMIT = 8;
-const RECENT_ITEMS_FILE = GLib.build_filenamev([
-  GLib.get_user_data_dir(),
-  'recently-used.xbel',
-]);
-const APPLICATION_STATE_FILE = GLib.build_filenamev([
-  GLib.get_user_data_dir(),
-  'gnome-shell',
-  'application_state',
-]);
-const CLEAR_APPLICATION_MENU = true; // will keep it here for now, in future might add to settings
-const APPLICATION_SORT_MODE = 'usage'; // 'usage' or 'recent'
-const HOVER_CLOSE_DELAY_MS = 200;
-const RECENT_OPEN_DELAY_MS = 500;
-const POINTER_TOLERANCE_PX = 8;
-
-const PointerState = {
-  INSIDE_RECENT: 0,
-  INSIDE_SUBMENU: 1,
-  BRIDGE: 2,
-  OUTSIDE: 3,
-};
+import {attachTooltip} from './documentTooltip.js';
+import {showItemInFiles, trashFile} from './fileActions.js';
+import {loadFilePreview} from './filePreview.js';
+import {HoverSubmenuItem} from './hoverSubmenu.js';
+import {createMenuItemWithIcon} from './iconMenuItem.js';
+import {lookupApp} from './launcher.js';
+import {ExclusionRules} from './recentItemFilters.js';
+import {createItemForUri} from './xbel.js';
+
+const RECENT_SECTIONS_KEY = 'recent-sections';
+const RECENT_SECTIONS = ['applications', 'documents', 'folders', 'servers'];
+const APPLICATION_SORT_KEY = 'recent-applications-sort';
+const CLEAR_APPLICATIONS_KEY = 'recent-clear-applications';
+const WEB_SCHEMES = ['http', 'https'];
+const SEARCH_RESULTS_LIMIT = 20;
+const PINNED_DOCUMENTS_KEY = 'recent-pinned-documents';
+const PINNED_APPLICATIONS_KEY = 'recent-pinned-applications';
+const HIDDEN_APPLICATIONS_KEY = 'recent-hidden-applications';
+const HIDE_MISSING_KEY = 'recent-hide-missing';
+const PRIVACY_MODE_KEY = 'recent-privacy-mode';
+const TITLE_BLUR_RADIUS = 6;
+
+function getSectionLimitKey(section) {
+  return `recent-${section}-limit`;
+}
+
+// Holds the actions of one entry. Activating an action leads back to the
+// list instead of closing the popup.
+class ItemActionsSection extends PopupMenu.PopupMenuSection {
+  itemActivated() {}
+}
 
 /**
  * A submenu item that shows recent files in a popup menu.
- * Manages hover state, timeouts, and pointer tracking for smooth UX.
+ * Hover handling is inherited from HoverSubmenuItem, the entries come from
+ * a RecentItemsModel shared with the panel button.
  */
 export const RecentItemsSubmenu = GObject.registerClass(
-  class RecentItemsSubmenu extends PopupMenu.PopupBaseMenuItem {
-    _init(title, parentMenu, recentMenuManager, extension) {
-      super._init({
-        reactive: true,
-        can_focus: true,
-        hover: true,
-      });
+  class RecentItemsSubmenu extends HoverSubmenuItem {
+    _init(title, parentMenu, recentMenuManager, extension, model, settings) {
+      super._init(title, parentMenu, recentMenuManager, 'kiwi-recent-menu');
 
-      this._parentMenu = parentMenu;
-      this._recentMenuManager = recentMenuManager;
       this._extension = extension;
-
-    // State tracking
-    this._recentMenu = null;
-    this._recentMenuHoverActor = null;
-    this._recentMenuSignalIds = [];
-    this._recentMenuMenuSignalIds = [];
-    this._hoverCloseTimeoutId = 0;
-    this._openDelayTimeoutId = 0;
-    this._mainMenuCloseId = 0;
-    this._submenuDestroyId = 0;
-    this._chromeAdded = false;
-    this._managerRegistered = false;
-    this._recentMenuClosing = false;
-    this._mainMenuItemSignalIds = [];
-    this._globalHoverMonitorId = 0;
-
-    // Build UI
-    const label = new St.Label({
-      text: title,
-      x_expand: true,
-      y_align: Clutter.ActorAlign.CENTER,
-    });
-    this.add_child(label);
-
-    const arrowIcon = new St.Icon({
-      icon_name: 'go-next-symbolic',
-      style_class: 'popup-menu-arrow',
-      y_align: Clutter.ActorAlign.CENTER,
-    });
-    this.add_child(arrowIcon);
-
-    // Connect events
-    this._connectEvents();
-  }
-
-  _connectEvents() {
-    this.actor.connect('enter-event', () => {
-      this._cancelClose();
-      this._setSubmenuHover(true);
-      this._scheduleOpen();
-      return Clutter.EVENT_PROPAGATE;
-    });
-
-    this.actor.connect('leave-event', () => {
-      this._cancelOpenDelay();
-      const submenuOpen = this._recentMenu && this._recentMenu.isOpen;
-      if (submenuOpen) {
-        this._setSubmenuHover(true);
-      }
-      this._scheduleClose();
-      return Clutter.EVENT_PROPAGATE;
-    });
-
-    this.actor.connect('button-press-event', () => {
-      this._cancelClose();
-      this._cancelOpenDelay();
-      const menu = this._ensureRecentMenu();
-      menu.open(true);
-      return Clutter.EVENT_STOP;
-    });
-
-    this.connect('activate', () => {
-      this._cancelClose();
-      this._cancelOpenDelay();
-      const menu = this._ensureRecentMenu();
-      menu.open(true);
-    });
-  }
-
-  destroy() {
-    // Clean up all timeouts before destroying
-    this._cancelClose();
-    this._cancelOpenDelay();
-    this._stopGlobalHoverMonitor();
-    this._closeAndDestroyRecentMenu();
-    super.destroy();
+      this._model = model;
+      this._settings = settings;
+      this._searchMenu = null;
+      this._searchItem = null;
+      this._searchEntry = null;
+      this._resultsSection = null;
+      this._actionsSection = null;
+      this._privacyMode = 'off';
+      this._exclusions = new ExclusionRules();
+      this._fileMenuItems = [];
+      this._cleanUpItem = null;
+      this._populateSerial = 0;
+
+      const modelChangedId = this._model.connect('changed', () => {
+        if (this._submenu?.isOpen) {
+          this._populateMenu(this._submenu);
+        }
+      });
+      this.connect('destroy', () => {
+        this._populateSerial++;
+        this._model.disconnect(modelChangedId);
+      });
   }
 
   _gettext(text) {
@@ -156,590 +103,583 @@ export const RecentItemsSubmenu = GObject.registerClass(
   }
 
   _populateMenu(menu) {
-    menu.removeAll();
+    // The search entry survives refills so typing is never interrupted.
+    if (this._searchMenu !== menu) {
+      menu.removeAll();
+      this._createSearchItem(menu);
+    }
 
-    const recentItems = this._getRecentItems();
-    const recentApplications = this._getRecentApplications(APPLICATIONS_RECENT_LIMIT);
+    this._resultsSection.removeAll();
+    this._fileMenuItems = [];
+    this._cleanUpItem = null;
+    this._privacyMode = this._settings.get_string(PRIVACY_MODE_KEY);
+    this._exclusions = ExclusionRules.fromSettings(this._settings);
 
-    const files = [];
-    for (const item of recentItems) {
-      if (files.length >= FILES_RECENT_LIMIT) {
-        break;
-      }
+    // Searching would reveal the hidden documents.
+    const showDocuments = this._privacyMode !== 'hide-documents';
+    this._searchItem.visible = showDocuments;
 
-      files.push(item);
+    const query = showDocuments ? this._searchEntry.get_text().trim() : '';
+    if (query) {
+      this._addSearchResults(this._resultsSection, query);
+    } else {
+      this._addSections(this._resultsSection);
     }
 
-    const hasFiles = files.length > 0;
-    const hasApplications = recentApplications.length > 0;
+    this._updateFileDetails();
+  }
 
-    if (!hasFiles && !hasApplications) {
-      const placeholder = new PopupMenu.PopupMenuItem(this._gettext('No recent items'));
-      placeholder.setSensitive(false);
-      menu.addMenuItem(placeholder);
+  async _updateFileDetails() {
+    // Only the shown files are looked up, and their entries are updated in
+    // place so focus and search text stay as they are.
+    const serial = ++this._populateSerial;
+    const entries = this._fileMenuItems;
+    await this._model.queryItemDetails(entries.map(({ item }) => item));
+
+    if (serial !== this._populateSerial) {
       return;
     }
 
-    let hasEntries = false;
-
-    if (hasApplications) {
-      if (hasEntries) {
-        menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+    const hideMissing = this._settings.get_boolean(HIDE_MISSING_KEY);
+    entries.forEach(({ item, menuItem, icon }) => {
+      if (item.gicon) {
+        icon.gicon = item.gicon;
       }
-
-      const applicationsHeader = this._createSectionHeader(this._gettext('Applications'));
-      menu.addMenuItem(applicationsHeader);
-
-      recentApplications.forEach(({ title: appTitle, appInfo, gicon, desktopId }) => {
-        const appMenuItem = this._createMenuItemWithIcon(
-          appTitle,
-          gicon,
-          'application-x-executable-symbolic'
-        );
-        appMenuItem.connect('activate', () => this._launchRecentApplication(appInfo, desktopId));
-        menu.addMenuItem(appMenuItem);
-      });
-
-      hasEntries = true;
-    }
-
-    if (hasFiles) {
-      if (hasEntries) {
-        menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+      if (hideMissing && item.exists === false) {
+        menuItem.visible = false;
       }
+    });
 
-      const filesHeader = this._createSectionHeader(this._gettext('Documents'));
-      menu.addMenuItem(filesHeader);
+    if (this._cleanUpItem && entries.some(({ item }) => item.exists === false)) {
+      this._cleanUpItem.visible = true;
+    }
+  }
 
-      files.forEach(({ title: itemTitle, uri, isDirectory }) => {
-        const icon = this._getRecentFileIcon(uri, isDirectory);
-        const recentMenuItem = this._createMenuItemWithIcon(
-          itemTitle,
-          icon,
-          isDirectory ? 'folder-symbolic' : 'text-x-generic-symbolic'
-        );
-        recentMenuItem.connect('activate', () => this._launchRecentUri(uri));
-        this._attachDocumentTooltip(recentMenuItem, uri);
-        menu.addMenuItem(recentMenuItem);
-      });
+  _createSearchItem(menu) {
+    const searchItem = new PopupMenu.PopupBaseMenuItem({
+      reactive: false,
+      can_focus: false,
+      style_class: 'kiwi-recent-search',
+    });
 
-      hasEntries = true;
-    }
+    this._searchEntry = new St.Entry({
+      hint_text: this._gettext('Search Recent Items'),
+      style_class: 'kiwi-recent-search-entry',
+      can_focus: true,
+      x_expand: true,
+    });
+    this._searchEntry.set_primary_icon(new St.Icon({
+      icon_name: 'edit-find-symbolic',
+      style_class: 'popup-menu-icon',
+    }));
+    this._searchEntry.clutter_text.connect('text-changed', () => {
+      this._setActionsVisible(false);
+      this._populateMenu(menu);
+    });
+    this._searchEntry.clutter_text.connect('key-press-event', (_actor, event) =>
+      this._onSearchKeyPress(event)
+    );
+    searchItem.add_child(this._searchEntry);
+    menu.addMenuItem(searchItem);
+    this._searchItem = searchItem;
 
-    if (hasEntries) {
-      menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+    this._resultsSection = new PopupMenu.PopupMenuSection();
+    menu.addMenuItem(this._resultsSection);
+    this._actionsSection = new ItemActionsSection();
+    this._actionsSection.actor.hide();
+    menu.addMenuItem(this._actionsSection);
+    this._searchMenu = menu;
 
-      const clearItem = new PopupMenu.PopupMenuItem(this._gettext('Clear Menu'));
-      clearItem.connect('activate', () => this._clearRecentItems());
-      menu.addMenuItem(clearItem);
-    }
+    menu.connect('open-state-changed', (_menu, open) => {
+      if (open && this._searchItem.visible) {
+        this._searchEntry.grab_key_focus();
+      }
+    });
+    menu.connect('destroy', () => {
+      this._populateSerial++;
+      this._searchMenu = null;
+      this._searchItem = null;
+      this._searchEntry = null;
+      this._resultsSection = null;
+      this._actionsSection = null;
+    });
   }
 
-  _clearRecentItems() {
-    const file = Gio.File.new_for_path(RECENT_ITEMS_FILE);
+  _onSearchKeyPress(event) {
+    const symbol = event.get_key_symbol();
 
-    try {
-      if (file.query_exists(null)) {
-        file.delete(null);
-      }
-    } catch (error) {
-      logError(error, 'Failed to clear recent items list');
+    if (symbol === Clutter.KEY_Escape && this._searchEntry.get_text()) {
+      this._searchEntry.set_text('');
+      return Clutter.EVENT_STOP;
     }
 
-    if (CLEAR_APPLICATION_MENU) {
-      this._clearApplicationUsage();
+    const firstResult = this._getFirstItem(this._resultsSection);
+    if (!firstResult) {
+      return Clutter.EVENT_PROPAGATE;
     }
 
-    if (this._recentMenu) {
-      this._populateMenu(this._recentMenu);
+    switch (symbol) {
+      case Clutter.KEY_Down:
+        firstResult.actor.grab_key_focus();
+        return Clutter.EVENT_STOP;
+      case Clutter.KEY_Return:
+      case Clutter.KEY_KP_Enter:
+        firstResult.activate(event);
+        return Clutter.EVENT_STOP;
+      default:
+        return Clutter.EVENT_PROPAGATE;
     }
   }
 
-  _clearApplicationUsage() {
-    const file = Gio.File.new_for_path(APPLICATION_STATE_FILE);
-
-    try {
-      if (file.query_exists(null)) {
-        file.delete(null);
-      }
-    } catch (error) {
-      logError(error, 'Failed to clear recent applications list');
-    }
+  _getFirstItem(section) {
+    return section
+      ._getMenuItems()
+      .find((item) => item.visible && item.reactive && item.can_focus);
   }
 
-  _cancelClose() {
-    if (this._hoverCloseTimeoutId) {
-      GLib.source_remove(this._hoverCloseTimeoutId);
-      this._hoverCloseTimeoutId = 0;
+  _addSearchResults(menu, query) {
+    const terms = query.toLocaleLowerCase().split(/\s+/);
+    const matches = this._getVisibleItems()
+      .filter((item) => {
+        const text = `${item.title}\n${this._formatDocumentTooltip(item.uri) ?? ''}`.toLocaleLowerCase();
+        return terms.every((term) => text.includes(term));
+      })
+      .slice(0, SEARCH_RESULTS_LIMIT);
+
+    if (matches.length === 0) {
+      const placeholder = new PopupMenu.PopupMenuItem(this._gettext('No matching items'));
+      placeholder.setSensitive(false);
+      menu.addMenuItem(placeholder);
+      return;
     }
+
+    matches.forEach((item) =>
+      menu.addMenuItem(item.isRemote ? this._createRemoteMenuItem(item) : this._createFileMenuItem(item))
+    );
   }
 
-  _cancelOpenDelay() {
-    if (this._openDelayTimeoutId) {
-      GLib.source_remove(this._openDelayTimeoutId);
-      this._openDelayTimeoutId = 0;
+  _addSections(menu) {
+    // Sections show in the configured order, unknown or repeated ids are skipped.
+    const sections = this._settings
+      .get_strv(RECENT_SECTIONS_KEY)
+      .filter((section, index, all) => RECENT_SECTIONS.includes(section) && all.indexOf(section) === index)
+      .map((section) => ({ section, items: this._createSectionItems(section) }))
+      .filter(({ items }) => items.length > 0);
+
+    // Pins stay on top, whatever the order of the other sections.
+    const pinnedItems = this._createPinnedItems();
+    if (pinnedItems.length > 0) {
+      sections.unshift({ section: 'pinned', items: pinnedItems });
     }
-  }
 
-  _startGlobalHoverMonitor() {
-    if (this._globalHoverMonitorId !== 0) {
+    if (sections.length === 0) {
+      const placeholder = new PopupMenu.PopupMenuItem(this._gettext('No recent items'));
+      placeholder.setSensitive(false);
+      menu.addMenuItem(placeholder);
       return;
     }
 
-    this._globalHoverMonitorId = GLib.timeout_add(
-      GLib.PRIORITY_DEFAULT,
-      100,
-      () => {
-        if (!this._recentMenu || !this._recentMenu.isOpen) {
-          this._globalHoverMonitorId = 0;
-          return GLib.SOURCE_REMOVE;
-        }
+    sections.forEach(({ section, items }, index) => {
+      if (index > 0) {
+        menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+      }
 
-        const pointerState = this._getPointerState();
-        if (
-          pointerState === PointerState.INSIDE_RECENT ||
-          pointerState === PointerState.INSIDE_SUBMENU ||
-          pointerState === PointerState.BRIDGE
-        ) {
-          this._setSubmenuHover(true);
-        }
-        if (pointerState === PointerState.OUTSIDE) {
-          // Pointer has left both menus entirely
-          this._closeAndDestroyRecentMenu();
-          this._setSubmenuHover(false);
-          this._globalHoverMonitorId = 0;
-          return GLib.SOURCE_REMOVE;
-        }
+      menu.addMenuItem(this._createSectionHeader(this._getSectionTitle(section)));
+      items.forEach((item) => menu.addMenuItem(item));
+    });
 
-        return GLib.SOURCE_CONTINUE;
-      }
-    );
-    GLib.Source.set_name_by_id(this._globalHoverMonitorId, 'KiwiMenuGlobalHoverMonitor');
+    menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+
+    // Shown once a missing file turns up, cleaning up checks all of them.
+    this._cleanUpItem = new PopupMenu.PopupMenuItem(this._gettext('Clean Up Missing Items'));
+    this._cleanUpItem.connect('activate', () => this._model.removeMissingItems());
+    this._cleanUpItem.visible = this._model.items.some(({ exists }) => exists === false);
+    menu.addMenuItem(this._cleanUpItem);
+
+    const clearItem = new PopupMenu.PopupMenuItem(this._gettext('Clear Menu'));
+    clearItem.connect('activate', () => this._clearRecentItems());
+    menu.addMenuItem(clearItem);
   }
 
-  _stopGlobalHoverMonitor() {
-    if (this._globalHoverMonitorId !== 0) {
-      GLib.source_remove(this._globalHoverMonitorId);
-      this._globalHoverMonitorId = 0;
+  _getSectionTitle(section) {
+    switch (section) {
+      case 'applications':
+        return this._gettext('Applications');
+      case 'folders':
+        return this._gettext('Folders');
+      case 'servers':
+        return this._gettext('Servers');
+      case 'pinned':
+        return this._gettext('Pinned');
+      default:
+        return this._gettext('Documents');
     }
   }
 
-  _setSubmenuHover(shouldHover) {
-    if (typeof this.setActive === 'function') {
-      this.setActive(shouldHover);
-    }
+  _createSectionItems(section) {
+    const limit = Math.max(0, this._settings.get_int(getSectionLimitKey(section)));
 
-    if (typeof this.remove_style_pseudo_class === 'function') {
-      if (shouldHover) {
-        this.add_style_pseudo_class('hover');
-      } else {
-        this.remove_style_pseudo_class('hover');
-        this.remove_style_pseudo_class('active');
-        this.remove_style_pseudo_class('checked');
-      }
+    if (section === 'applications') {
+      const excludedIds = [
+        ...this._settings.get_strv(PINNED_APPLICATIONS_KEY),
+        ...this._getHiddenApplicationIds(),
+      ];
+      return this._getRecentApplications(limit, excludedIds).map((application) =>
+        this._createApplicationMenuItem(application)
+      );
     }
 
-    if (this.actor) {
-      if (typeof this.actor.set_hover === 'function') {
-        this.actor.set_hover(shouldHover);
-      }
-      if (typeof this.actor.remove_style_pseudo_class === 'function') {
-        if (shouldHover) {
-          this.actor.add_style_pseudo_class('hover');
-        } else {
-          this.actor.remove_style_pseudo_class('hover');
-          this.actor.remove_style_pseudo_class('active');
-          this.actor.remove_style_pseudo_class('checked');
-        }
-      }
-    }
-  }
+    const pinnedUris = this._settings.get_strv(PINNED_DOCUMENTS_KEY);
+    const items = this._getVisibleItems().filter(({ uri }) => !pinnedUris.includes(uri));
 
-  _scheduleClose() {
-    this._cancelClose();
-    this._hoverCloseTimeoutId = GLib.timeout_add(
-      GLib.PRIORITY_DEFAULT,
-      HOVER_CLOSE_DELAY_MS,
-      () => {
-        const pointerState = this._getPointerState();
-
-        if (pointerState === PointerState.INSIDE_RECENT) {
-          this._hoverCloseTimeoutId = 0;
-          return GLib.SOURCE_REMOVE;
-        }
+    if (section === 'servers') {
+      return items
+        .filter(({ isRemote }) => isRemote)
+        .slice(0, limit)
+        .map((item) => this._createRemoteMenuItem(item));
+    }
 
-        if (pointerState === PointerState.INSIDE_SUBMENU) {
-          // Keep recent menu open and keep submenu highlighted
-          this._setSubmenuHover(true);
-          this._hoverCloseTimeoutId = 0;
-          return GLib.SOURCE_REMOVE;
-        }
+    const wantDirectories = section === 'folders';
+    return items
+      .filter(({ isRemote, isDirectory }) => !isRemote && isDirectory === wantDirectories)
+      .slice(0, limit)
+      .map((item) => this._createFileMenuItem(item));
+  }
 
-        if (pointerState === PointerState.BRIDGE) {
-          this._setSubmenuHover(true);
-          return GLib.SOURCE_CONTINUE;
-        }
+  _getVisibleItems() {
+    if (this._privacyMode === 'hide-documents') {
+      return [];
+    }
 
-        this._hoverCloseTimeoutId = 0;
-        this._closeAndDestroyRecentMenu();
-        this._setSubmenuHover(false);
-        return GLib.SOURCE_REMOVE;
-      }
+    const hideMissing = this._settings.get_boolean(HIDE_MISSING_KEY);
+    return this._model.items.filter(
+      (item) => !(hideMissing && item.exists === false) && !this._exclusions.excludesItem(item)
     );
-    GLib.Source.set_name_by_id(this._hoverCloseTimeoutId, 'KiwiMenuHoverCloseDelay');
   }
 
-  _scheduleOpen() {
-    this._cancelOpenDelay();
+  _getHiddenApplicationIds() {
+    const hidden = this._settings.get_value(HIDDEN_APPLICATIONS_KEY).deepUnpack();
+    const state = this._model.applicationState;
 
-    if (this._recentMenu && this._recentMenu.isOpen) {
-      return;
-    }
+    // Removed applications come back once they are used again.
+    return Object.entries(hidden)
+      .filter(([desktopId, hiddenAt]) => (state.get(desktopId)?.lastSeen ?? 0) <= hiddenAt)
+      .map(([desktopId]) => desktopId);
+  }
 
-    this._openDelayTimeoutId = GLib.timeout_add(
-      GLib.PRIORITY_DEFAULT,
-      RECENT_OPEN_DELAY_MS,
-      () => {
-        this._openDelayTimeoutId = 0;
-        const menu = this._ensureRecentMenu();
-        menu.open(true);
-        return GLib.SOURCE_REMOVE;
-      }
-    );
-    GLib.Source.set_name_by_id(this._openDelayTimeoutId, 'KiwiMenuRecentOpenDelay');
+  _hideApplication(desktopId) {
+    const hidden = this._settings.get_value(HIDDEN_APPLICATIONS_KEY).deepUnpack();
+    hidden[desktopId] = Math.floor(GLib.get_real_time() / GLib.USEC_PER_SEC);
+    this._settings.set_value(HIDDEN_APPLICATIONS_KEY, new GLib.Variant('a{sx}', hidden));
   }
 
-  _disconnectRecentMenuSignals() {
-    this._recentMenuSignalIds.forEach(({ target, id }) => {
-      if (target && id) {
-        try {
-          target.disconnect(id);
-        } catch (_error) {
-          // Ignore, signal already disconnected during teardown
-        }
-      }
-    });
-    this._recentMenuSignalIds = [];
+  _createPinnedItems() {
+    const appSystem = Shell.AppSystem.get_default();
+    const applications = this._settings
+      .get_strv(PINNED_APPLICATIONS_KEY)
+      .map((desktopId) => appSystem.lookup_app(desktopId))
+      .map((app) => (app ? this._describeApplication(app, appSystem) : null))
+      .filter((application) => application && !this._exclusions.excludesApplication(application.desktopId))
+      .map((application) => this._createApplicationMenuItem(application));
 
-    if (!this._recentMenu) {
-      this._recentMenuMenuSignalIds = [];
-      return;
-    }
+    // Pinned files may have dropped out of the history meanwhile.
+    const pinnedUris = this._privacyMode === 'hide-documents' ? [] : this._settings.get_strv(PINNED_DOCUMENTS_KEY);
+    const documents = pinnedUris
+      .map((uri) => this._model.items.find((recentItem) => recentItem.uri === uri) ?? createItemForUri(uri))
+      .filter((item) => !this._exclusions.excludesItem(item))
+      .map((item) => (item.isRemote ? this._createRemoteMenuItem(item) : this._createFileMenuItem(item)));
 
-    this._recentMenuMenuSignalIds.forEach((id) => {
-      if (id) {
-        try {
-          this._recentMenu.disconnect(id);
-        } catch (_error) {
-          // Ignore if already disconnected during teardown
-        }
-      }
-    });
-    this._recentMenuMenuSignalIds = [];
+    return [...applications, ...documents];
   }
 
-  _disconnectMainMenuItemSignals() {
-    this._mainMenuItemSignalIds.forEach(({ actor, signalId }) => {
-      if (actor && signalId) {
-        try {
-          actor.disconnect(signalId);
-        } catch (_error) {
-          // Ignore if already disconnected during teardown
-        }
-      }
-    });
-    this._mainMenuItemSignalIds = [];
+  _createApplicationMenuItem(application) {
+    const { title, appInfo, gicon, desktopId } = application;
+    const menuItem = createMenuItemWithIcon(title, gicon, 'application-x-executable-symbolic');
+    menuItem.connect('activate', () => this._launchRecentApplication(appInfo, desktopId));
+    this._attachItemActions(menuItem, { type: 'application', id: desktopId, title, application });
+    return menuItem;
+  }
+
+  _createFileMenuItem(item) {
+    const { title, uri, mimeType, isDirectory, gicon } = item;
+    const menuItem = createMenuItemWithIcon(
+      title,
+      gicon ?? this._getRecentFileIcon(mimeType, isDirectory),
+      isDirectory ? 'folder-symbolic' : 'text-x-generic-symbolic'
+    );
+    menuItem.connect('activate', () => this._launchRecentUri(uri));
+    this._attachDocumentTooltip(menuItem, item);
+    this._attachItemActions(menuItem, { type: 'document', id: uri, title, item });
+    this._applyPrivacyMode(menuItem);
+    this._fileMenuItems.push({ item, menuItem, icon: menuItem.get_child_at_index(0) });
+    return menuItem;
   }
 
-  _connectMainMenuItemSignals() {
-    this._disconnectMainMenuItemSignals();
+  _createRemoteMenuItem(item) {
+    const { title, uri, mimeType, isDirectory, scheme, host } = item;
+    const label = host && title !== host ? this._gettext('%s on %s').format(title, host) : title;
+    const menuItem = createMenuItemWithIcon(
+      label,
+      this._getRemoteIcon(scheme, mimeType, isDirectory),
+      'folder-remote-symbolic'
+    );
+    menuItem.connect('activate', () => this._launchRecentUri(uri));
+    this._attachDocumentTooltip(menuItem, item);
+    this._attachItemActions(menuItem, { type: 'document', id: uri, title: label, item });
+    this._applyPrivacyMode(menuItem);
+    return menuItem;
+  }
 
-    if (!this._parentMenu || typeof this._parentMenu._getMenuItems !== 'function') {
+  _applyPrivacyMode(menuItem) {
+    if (this._privacyMode !== 'blur-titles' || !menuItem.label) {
       return;
     }
 
-    const menuItems = this._parentMenu._getMenuItems();
-    menuItems.forEach((item) => {
-      if (!item || item === this) {
-        return;
-      }
+    // Titles stay unreadable until the entry is hovered or focused.
+    const blurEffect = new Shell.BlurEffect({ mode: Shell.BlurMode.ACTOR });
+    if ('radius' in blurEffect) {
+      blurEffect.radius = TITLE_BLUR_RADIUS * 2;
+    } else {
+      blurEffect.sigma = TITLE_BLUR_RADIUS;
+    }
+    menuItem.label.add_effect(blurEffect);
+
+    const syncBlur = () => {
+      blurEffect.enabled = !menuItem.active;
+    };
+    menuItem.connect('notify::active', syncBlur);
+    syncBlur();
+  }
 
-      const actor = item.actor;
-      if (!actor || actor === this.actor || !actor.reactive) {
-        return;
+  _attachItemActions(menuItem, target) {
+    // Right-click or the Menu key swaps the list for the actions of the entry.
+    menuItem.connect('button-release-event', (_actor, event) => {
+      if (event.get_button() !== Clutter.BUTTON_SECONDARY) {
+        return Clutter.EVENT_PROPAGATE;
       }
 
-      actor.track_hover = true;
-      const signalId = actor.connect('enter-event', () => {
-        if (!this._recentMenu || !this._recentMenu.isOpen) {
-          return Clutter.EVENT_PROPAGATE;
-        }
+      this._showItemActions(target);
+      return Clutter.EVENT_STOP;
+    });
 
-        // Only close recent menu if we're entering a different menu item
-        this._cancelClose();
-        this._cancelOpenDelay();
-        this._closeAndDestroyRecentMenu();
-        this._setSubmenuHover(false);
+    menuItem.connect('key-press-event', (_actor, event) => {
+      const symbol = event.get_key_symbol();
+      const shiftPressed = (event.get_state() & Clutter.ModifierType.SHIFT_MASK) !== 0;
+      if (symbol !== Clutter.KEY_Menu && !(symbol === Clutter.KEY_F10 && shiftPressed)) {
         return Clutter.EVENT_PROPAGATE;
-      });
+      }
 
-      this._mainMenuItemSignalIds.push({ actor, signalId });
+      this._showItemActions(target);
+      return Clutter.EVENT_STOP;
     });
   }
 
-  _ensureRecentMenu() {
-    if (this._recentMenu) {
-      this._populateMenu(this._recentMenu);
-      this._connectMainMenuItemSignals();
-      return this._recentMenu;
+  _showItemActions(target) {
+    if (!this._searchMenu) {
+      return;
     }
 
-    this._recentMenu = new PopupMenu.PopupMenu(this.actor, 0.0, St.Side.RIGHT);
-    this._recentMenu.actor.add_style_class_name('kiwi-recent-menu');
-    this._recentMenu.actor.track_hover = true;
-    this._recentMenu.actor.reactive = true;
+    // The list is refilled on the way back only, and the actions are
+    // replaced on the next right-click, so no entry is destroyed while it
+    // is being activated.
+    if (target) {
+      this._actionsSection.removeAll();
+      this._addItemActions(this._actionsSection, target);
+    } else {
+      this._populateMenu(this._searchMenu);
+    }
+    this._setActionsVisible(Boolean(target));
 
-    this._recentMenuHoverActor = this._recentMenu.box ?? this._recentMenu.actor;
-    // Track hover on the visible menu box to detect real pointer exits.
-    if (this._recentMenuHoverActor) {
-      this._recentMenuHoverActor.track_hover = true;
-      this._recentMenuHoverActor.reactive = true;
+    if (target) {
+      this._getFirstItem(this._actionsSection)?.actor.grab_key_focus();
+    } else if (this._searchItem.visible) {
+      this._searchEntry.grab_key_focus();
     }
+  }
+
+  _setActionsVisible(visible) {
+    this._actionsSection.actor.visible = visible;
+    this._resultsSection.actor.visible = !visible;
+  }
 
-    Main.layoutManager.addTopChrome(this._recentMenu.actor);
-    this._chromeAdded = true;
+  _addItemActions(menu, target) {
+    menu.addMenuItem(this._createSectionHeader(target.title));
 
-    if (!this._managerRegistered && this._recentMenuManager) {
-      this._recentMenuManager.addMenu(this._recentMenu);
-      this._managerRegistered = true;
+    if (target.type === 'document') {
+      this._addDocumentActions(menu, target.item);
+      menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
     }
 
-    this._populateMenu(this._recentMenu);
-    this._connectMainMenuItemSignals();
-
-    this._recentMenuMenuSignalIds.push(
-      this._recentMenu.connect('open-state-changed', (_, open) => {
-        if (open) {
-          this._cancelClose();
-          this._startGlobalHoverMonitor();
-        } else {
-          this._stopGlobalHoverMonitor();
-          this._closeAndDestroyRecentMenu();
-        }
-      })
+    const pinned = this._isPinned(target);
+    this._addStayOpenAction(
+      menu,
+      pinned ? this._gettext('Unpin') : this._gettext('Pin'),
+      () => this._setPinned(target, !pinned)
     );
 
-    if (this._recentMenuHoverActor) {
-      const enterId = this._recentMenuHoverActor.connect('enter-event', () => {
-        this._cancelClose();
-        this._cancelOpenDelay();
-        this._setSubmenuHover(true);
-        return Clutter.EVENT_PROPAGATE;
-      });
-      this._recentMenuSignalIds.push({ target: this._recentMenuHoverActor, id: enterId });
+    if (target.type === 'application') {
+      this._addStayOpenAction(menu, this._gettext('Remove from Recents'), () =>
+        this._hideApplication(target.id)
+      );
+    } else {
+      this._addStayOpenAction(menu, this._gettext('Remove from Recents'), () =>
+        this._model.removeItems([target.id])
+      );
 
-      const leaveId = this._recentMenuHoverActor.connect('leave-event', () => {
-        this._scheduleClose();
-        return Clutter.EVENT_PROPAGATE;
-      });
-      this._recentMenuSignalIds.push({ target: this._recentMenuHoverActor, id: leaveId });
+      if (!target.item.isRemote) {
+        this._addStayOpenAction(menu, this._gettext('Move to Trash'), () =>
+          this._trashRecentItem(target.item)
+        );
+      }
     }
 
-    if (this._mainMenuCloseId === 0) {
-      this._mainMenuCloseId = this._parentMenu.connect('open-state-changed', (_, open) => {
-        if (!open) {
-          this._closeAndDestroyRecentMenu();
-        }
+    menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+    this._addStayOpenAction(menu, this._gettext('Back'), () => {});
+  }
+
+  _addDocumentActions(menu, { uri, mimeType }) {
+    const applications = mimeType ? this._getApplicationsForType(mimeType) : [];
+    if (applications.length > 0) {
+      const openWithItem = new PopupMenu.PopupSubMenuMenuItem(this._gettext('Open With'));
+      applications.forEach((appInfo) => {
+        const appItem = createMenuItemWithIcon(
+          appInfo.get_display_name(),
+          appInfo.get_icon(),
+          'application-x-executable-symbolic'
+        );
+        appItem.connect('activate', () => this._openRecentUriWith(appInfo, uri));
+        openWithItem.menu.addMenuItem(appItem);
       });
+      menu.addMenuItem(openWithItem);
     }
 
-    if (this._submenuDestroyId === 0) {
-      this._submenuDestroyId = this.connect('destroy', () => {
-        this._closeAndDestroyRecentMenu();
+    this._addAction(menu, this._gettext('Show in Files'), () => {
+      showItemInFiles(uri).catch((error) => {
+        this._notifyLaunchFailure(
+          this._gettext('Item unavailable'),
+          this._gettext('Could not show "%s" in Files.').format(this._formatDocumentTooltip(uri) ?? uri)
+        );
+        logError(error, `Failed to show recent item in Files: ${uri}`);
       });
-    }
+    });
 
-    return this._recentMenu;
+    this._addAction(menu, this._gettext('Copy Path'), () => {
+      const path = Gio.File.new_for_uri(uri).get_path() ?? GLib.uri_unescape_string(uri, null) ?? uri;
+      St.Clipboard.get_default().set_text(St.ClipboardType.CLIPBOARD, path);
+    });
   }
 
-  _getActorBounds(actor) {
-    if (!actor) {
-      return null;
-    }
-
-    const [stageX, stageY] = actor.get_transformed_position();
-    const [width, height] = actor.get_transformed_size();
+  _getApplicationsForType(mimeType) {
+    const defaultApp = Gio.AppInfo.get_default_for_type(mimeType, false);
+    const applications = Gio.AppInfo.get_all_for_type(mimeType).filter((appInfo) => appInfo.should_show());
 
-    if (width === 0 || height === 0) {
-      return null;
+    // The default application first, the others in the order GIO ranks them.
+    if (defaultApp) {
+      const index = applications.findIndex((appInfo) => appInfo.equal(defaultApp));
+      if (index > 0) {
+        applications.unshift(...applications.splice(index, 1));
+      }
     }
 
-    return {
-      x1: stageX,
-      y1: stageY,
-      x2: stageX + width,
-      y2: stageY + height,
-    };
+    return applications;
   }
 
-  _getPointerState() {
-    if (!this._recentMenu) {
-      return PointerState.OUTSIDE;
+  async _trashRecentItem({ uri }) {
+    try {
+      await trashFile(uri);
+      await this._model.removeItems([uri]);
+    } catch (error) {
+      this._notifyLaunchFailure(
+        this._gettext('Item unavailable'),
+        this._gettext('Could not move "%s" to the trash.').format(this._formatDocumentTooltip(uri) ?? uri)
+      );
+      logError(error, `Failed to trash recent item: ${uri}`);
     }
+  }
 
-    const [pointerX, pointerY] = global.get_pointer();
-    const submenuBounds = this._getActorBounds(this.actor);
-    const recentBounds = this._getActorBounds(this._recentMenuHoverActor ?? this._recentMenu.actor);
-
-    const pointWithin = (bounds, tolerance = 0) =>
-      bounds &&
-      pointerX >= bounds.x1 - tolerance &&
-      pointerX <= bounds.x2 + tolerance &&
-      pointerY >= bounds.y1 - tolerance &&
-      pointerY <= bounds.y2 + tolerance;
+  _addAction(menu, label, callback) {
+    const menuItem = new PopupMenu.PopupMenuItem(label);
+    menuItem.connect('activate', () => {
+      callback();
+      this._parentMenu.close(true);
+      this._closeAndDestroySubmenu();
+    });
+    menu.addMenuItem(menuItem);
+  }
 
-    // Check if pointer is inside the recent items popup menu
-    if (pointWithin(recentBounds, POINTER_TOLERANCE_PX)) {
-      return PointerState.INSIDE_RECENT;
-    }
+  _addStayOpenAction(menu, label, callback) {
+    const menuItem = new PopupMenu.PopupMenuItem(label);
+    menuItem.connect('activate', () => {
+      callback();
+      this._showItemActions(null);
+    });
+    menu.addMenuItem(menuItem);
+  }
 
-    // Check if pointer is inside the submenu item in the main menu
-    if (pointWithin(submenuBounds, POINTER_TOLERANCE_PX)) {
-      return PointerState.INSIDE_SUBMENU;
-    }
+  _getPinnedKey(target) {
+    return target.type === 'application' ? PINNED_APPLICATIONS_KEY : PINNED_DOCUMENTS_KEY;
+  }
 
-    if (!submenuBounds || !recentBounds) {
-      return PointerState.OUTSIDE;
-    }
+  _isPinned(target) {
+    return this._settings.get_strv(this._getPinnedKey(target)).includes(target.id);
+  }
 
-    const overlapTop = Math.max(submenuBounds.y1, recentBounds.y1);
-    const overlapBottom = Math.min(submenuBounds.y2, recentBounds.y2);
-
-    if (overlapBottom >= overlapTop) {
-      // Allow a narrow horizontal bridge between the submenu and popup.
-      // This bridge exists only to allow smooth transitions.
-      const submenuRight = submenuBounds.x2;
-      const recentLeft = recentBounds.x1;
-      const gapWidth = Math.max(0, recentLeft - submenuRight);
-      const bridgeTolerance = Math.min(POINTER_TOLERANCE_PX, gapWidth + 4);
-
-      if (
-        pointerX >= submenuRight - 2 &&
-        pointerX <= recentLeft + bridgeTolerance &&
-        pointerY >= overlapTop - POINTER_TOLERANCE_PX &&
-        pointerY <= overlapBottom + POINTER_TOLERANCE_PX
-      ) {
-        return PointerState.BRIDGE;
-      }
+  _setPinned(target, pinned) {
+    const key = this._getPinnedKey(target);
+    const ids = this._settings.get_strv(key).filter((id) => id !== target.id);
+    if (pinned) {
+      ids.push(target.id);
     }
-
-    return PointerState.OUTSIDE;
+    this._settings.set_strv(key, ids);
   }
 
-  _closeAndDestroyRecentMenu() {
-    this._cancelOpenDelay();
-
-    if (!this._recentMenu || this._recentMenuClosing) {
-      this._setSubmenuHover(false);
-      return;
+  _clearRecentItems() {
+    const applications = this._settings.get_boolean(CLEAR_APPLICATIONS_KEY);
+    if (applications) {
+      this._settings.reset(HIDDEN_APPLICATIONS_KEY);
     }
 
-    this._recentMenuClosing = true;
-
-    try {
-      this._cancelClose();
-      this._stopGlobalHoverMonitor();
-
-      if (this._mainMenuCloseId !== 0) {
-        this._parentMenu.disconnect(this._mainMenuCloseId);
-        this._mainMenuCloseId = 0;
-      }
-
-      if (this._submenuDestroyId !== 0) {
-        try {
-          this.disconnect(this._submenuDestroyId);
-        } catch (_error) {
-          // Signal was already disconnected, ignore
-        }
-        this._submenuDestroyId = 0;
-      }
-
-      this._disconnectRecentMenuSignals();
-      this._disconnectMainMenuItemSignals();
-
-      if (this._recentMenu.isOpen) {
-        this._recentMenu.close(true);
-      }
-
-      if (this._managerRegistered && this._recentMenuManager) {
-        this._recentMenuManager.removeMenu(this._recentMenu);
-        this._managerRegistered = false;
-      }
-
-      if (this._chromeAdded) {
-        Main.layoutManager.removeChrome(this._recentMenu.actor);
-        this._chromeAdded = false;
-      }
-
-      this._recentMenu.destroy();
-      this._recentMenu = null;
-      this._recentMenuHoverActor = null;
-      this._setSubmenuHover(false);
-    } finally {
-      this._recentMenuClosing = false;
-    }
+    // The model reports the change, which refills the open popup.
+    this._model.clear({ applications });
   }
 
-  _createMenuItemWithIcon(labelText, gicon, fallbackIconName) {
-    const menuItem = new PopupMenu.PopupMenuItem('');
+  _attachDocumentTooltip(menuItem, item) {
+    // Thumbnails would show what privacy mode hides.
+    const loadPreview =
+      !item.isRemote && this._privacyMode === 'off' ? () => this._loadDocumentPreview(item) : null;
+    attachTooltip(menuItem, this._formatDocumentTooltip(item.uri), this._settings, { loadPreview });
+  }
 
-    const iconProps = {
-      style_class: 'popup-menu-icon',
-      y_align: Clutter.ActorAlign.CENTER,
-    };
+  async _loadDocumentPreview(item) {
+    const preview = await loadFilePreview(item.uri);
 
-    if (gicon) {
-      iconProps.gicon = gicon;
-    } else if (fallbackIconName) {
-      iconProps.icon_name = fallbackIconName;
+    // Without a thumbnail the plain path tooltip stays.
+    if (!preview.thumbnail) {
+      return null;
     }
 
-    const icon = new St.Icon(iconProps);
-    menuItem.insert_child_at_index(icon, 0);
-
-    if (menuItem.label) {
-      menuItem.label.text = labelText;
-      menuItem.label.x_expand = true;
-      menuItem.label.y_align = Clutter.ActorAlign.CENTER;
-    } else {
-      const label = new St.Label({
-        text: labelText,
-        x_expand: true,
-        y_align: Clutter.ActorAlign.CENTER,
-      });
-      menuItem.add_child(label);
+    const details = [];
+    const contentType = preview.contentType || item.mimeType;
+    const description = contentType ? Gio.content_type_get_description(contentType) : null;
+    const size = preview.size !== null ? GLib.format_size(preview.size) : null;
+    const summary = [description, size].filter(Boolean).join(' · ');
+    if (summary) {
+      details.push(summary);
     }
 
-    return menuItem;
-  }
-
-  _attachDocumentTooltip(menuItem, uri) {
-    const actor = menuItem?.actor ?? null;
-    const tooltipText = this._formatDocumentTooltip(uri);
-
-    if (!actor || !tooltipText) {
-      return;
+    if (preview.modified) {
+      details.push(this._gettext('Modified %s').format(formatTime(preview.modified.to_local())));
     }
 
-    const tooltip = new DocumentTooltip(actor, tooltipText);
-
-    menuItem.connect('destroy', () => {
-      tooltip.destroy();
-    });
+    if (item.lastApplication) {
+      const appName = lookupApp(item.lastApplication)?.get_name() ?? item.lastApplication;
+      details.push(this._gettext('Last opened with %s').format(appName));
+    }
 
-    menuItem.connect('activate', () => {
-      tooltip.close();
-    });
+    return {
+      gicon: new Gio.FileIcon({ file: preview.thumbnail }),
+      details,
+    };
   }
 
   _formatDocumentTooltip(uri) {
@@ -752,37 +692,42 @@ export const RecentItemsSubmenu = GObject.registerClass(
       return GLib.uri_unescape_string(path, null) ?? path;
     }
 
+    // Host and path only, user names and passwords stay out of sight.
+    try {
+      const parsed = GLib.Uri.parse(uri, GLib.UriFlags.NONE);
+      if (parsed.get_host()) {
+        return `${parsed.get_host()}${parsed.get_path()}`;
+      }
+    } catch (_error) {
+      // Fall back to the unescaped URI below.
+    }
+
     return GLib.uri_unescape_string(uri, null) ?? uri;
   }
 
-  _getRecentFileIcon(uri, isDirectory) {
-    if (!uri || typeof uri !== 'string') {
-      return null;
+  _getRecentFileIcon(mimeType, isDirectory) {
+    if (mimeType) {
+      return Gio.content_type_get_icon(mimeType);
     }
 
-    if (!uri.startsWith('file://')) {
-      return null;
+    if (isDirectory) {
+      return new Gio.ThemedIcon({ names: ['folder-symbolic'] });
     }
 
-    try {
-      const file = Gio.File.new_for_uri(uri);
-      if (!file.query_exists(null)) {
-        return null;
-      }
+    return null;
+  }
 
-      const info = file.query_info('standard::icon,standard::type', Gio.FileQueryInfoFlags.NONE, null);
-      if (info) {
-        return info.get_icon?.() ?? null;
-      }
-    } catch (_error) {
-      // Swallow errors; fall back to themed icon based on item type.
+  _getRemoteIcon(scheme, mimeType, isDirectory) {
+    if (WEB_SCHEMES.includes(scheme)) {
+      return new Gio.ThemedIcon({ names: ['web-browser-symbolic'] });
     }
 
-    if (isDirectory) {
-      return new Gio.ThemedIcon({ names: ['folder-symbolic'] });
+    // Documents on a server keep their type icon, shares and folders get the remote folder.
+    if (mimeType && !isDirectory) {
+      return Gio.content_type_get_icon(mimeType);
     }
 
-    return null;
+    return new Gio.ThemedIcon({ names: ['folder-remote-symbolic'] });
   }
 
   _launchRecentUri(uri) {
@@ -802,14 +747,30 @@ export const RecentItemsSubmenu = GObject.registerClass(
       logError(error, `Failed to open recent item: ${uri}`);
     } finally {
       this._parentMenu.close(true);
-      this._closeAndDestroyRecentMenu();
+      this._closeAndDestroySubmenu();
+    }
+  }
+
+  _openRecentUriWith(appInfo, uri) {
+    try {
+      const context = global.create_app_launch_context(0, -1);
+      appInfo.launch_uris([uri], context);
+    } catch (error) {
+      this._notifyLaunchFailure(
+        this._gettext('Application unavailable'),
+        this._gettext('Could not launch "%s".').format(appInfo.get_display_name())
+      );
+      logError(error, `Failed to open ${uri} with ${appInfo.get_id()}`);
+    } finally {
+      this._parentMenu.close(true);
+      this._closeAndDestroySubmenu();
     }
   }
 
   _launchRecentApplication(appInfo, desktopId) {
     if (!appInfo) {
       this._parentMenu.close(true);
-      this._closeAndDestroyRecentMenu();
+      this._closeAndDestroySubmenu();
       return;
     }
 
@@ -831,7 +792,7 @@ export const RecentItemsSubmenu = GObject.registerClass(
       logError(error, `Failed to launch application: ${fallbackId}`);
     } finally {
       this._parentMenu.close(true);
-      this._closeAndDestroyRecentMenu();
+      this._closeAndDestroySubmenu();
     }
   }
 
@@ -843,55 +804,43 @@ export const RecentItemsSubmenu = GObject.registerClass(
     }
   }
 
-  _getApplicationState() {
-    const state = new Map();
-    const file = Gio.File.new_for_path(APPLICATION_STATE_FILE);
-
-    if (!file.query_exists(null)) {
-      return state;
+  _describeApplication(app, appSystem) {
+    const desktopId = app.get_id();
+    const appInfo = app.get_app_info?.() ?? appSystem?.lookup_app?.(desktopId)?.get_app_info?.();
+    if (!appInfo) {
+      return null;
     }
 
-    try {
-      const [, contents] = file.load_contents(null);
-      const text = new TextDecoder().decode(contents);
-      const regex = /<application\b([^>]*)\/>/g;
-      let match;
-
-      while ((match = regex.exec(text)) !== null) {
-        const attributes = match[1] ?? '';
-        const idMatch = /\bid="([^"]+)"/.exec(attributes);
-
-        if (!idMatch) {
-          continue;
-        }
+    const fallbackName =
+      typeof desktopId === 'string' && desktopId.endsWith('.desktop')
+        ? desktopId.slice(0, -'.desktop'.length)
+        : desktopId;
 
-        const id = idMatch[1];
-        const scoreMatch = /\bscore="([^"]+)"/.exec(attributes);
-        const lastSeenMatch = /\blast-seen="([^"]+)"/.exec(attributes);
-        const score = scoreMatch ? Number.parseFloat(scoreMatch[1]) : 0;
-        const lastSeen = lastSeenMatch ? Number.parseInt(lastSeenMatch[1], 10) : 0;
+    const title =
+      appInfo.get_display_name?.() ??
+      appInfo.get_name?.() ??
+      app.get_name?.() ??
+      fallbackName;
 
-        state.set(id, {
-          score: Number.isFinite(score) ? score : 0,
-          lastSeen: Number.isFinite(lastSeen) ? lastSeen : 0,
-        });
-      }
-    } catch (error) {
-      logError(error, 'Failed to read recent applications state');
-    }
+    const gicon = app.get_gicon?.() ?? appInfo.get_icon?.() ?? null;
 
-    return state;
+    return {
+      title,
+      appInfo,
+      gicon,
+      desktopId,
+    };
   }
 
-  _getRecentApplications(limit = APPLICATIONS_RECENT_LIMIT) {
+  _getRecentApplications(limit, excludedIds = []) {
     const applications = [];
 
     if (!Shell?.AppUsage?.get_default) {
       return applications;
     }
 
-    const sortMode = APPLICATION_SORT_MODE === 'recent' ? 'recent' : 'usage';
-    const stateMap = sortMode === 'recent' ? this._getApplicationState() : null;
+    const sortMode = this._settings.get_string(APPLICATION_SORT_KEY) === 'recent' ? 'recent' : 'usage';
+    const stateMap = sortMode === 'recent' ? this._model.applicationState : null;
 
     try {
       const usage = Shell.AppUsage.get_default();
@@ -900,7 +849,7 @@ export const RecentItemsSubmenu = GObject.registerClass(
       }
 
       const appSystem = Shell.AppSystem?.get_default?.() ?? null;
-      const seen = new Set();
+      const seen = new Set(excludedIds);
       const rawCandidates = usage.get_most_used?.();
       const candidates = [];
 
@@ -925,36 +874,16 @@ export const RecentItemsSubmenu = GObject.registerClass(
         }
 
         const desktopId = app.get_id();
-        if (!desktopId || seen.has(desktopId)) {
+        if (!desktopId || seen.has(desktopId) || this._exclusions.excludesApplication(desktopId)) {
           continue;
         }
 
         seen.add(desktopId);
 
-        const appInfo = app.get_app_info?.() ?? appSystem?.lookup_app?.(desktopId)?.get_app_info?.();
-        if (!appInfo) {
-          continue;
+        const application = this._describeApplication(app, appSystem);
+        if (application) {
+          applications.push(application);
         }
-
-        const fallbackName =
-          typeof desktopId === 'string' && desktopId.endsWith('.desktop')
-            ? desktopId.slice(0, -'.desktop'.length)
-            : desktopId;
-
-        const title =
-          appInfo.get_display_name?.() ??
-          appInfo.get_name?.() ??
-          app.get_name?.() ??
-          fallbackName;
-
-        const gicon = app.get_gicon?.() ?? appInfo.get_icon?.() ?? null;
-
-        applications.push({
-          title,
-          appInfo,
-          gicon,
-          desktopId,
-        });
       }
     } catch (error) {
       logError(error, 'Failed to resolve recent applications');
@@ -970,89 +899,4 @@ export const RecentItemsSubmenu = GObject.registerClass(
 
     return applications.slice(0, limit);
   }
-
-  _getRecentItems() {
-    const file = Gio.File.new_for_path(RECENT_ITEMS_FILE);
-    if (!file.query_exists(null)) {
-      return [];
-    }
-
-    let contents;
-    try {
-      [, contents] = file.load_contents(null);
-    } catch (error) {
-      logError(error, 'Failed to read recent items list');
-      return [];
-    }
-
-    const text = new TextDecoder().decode(contents);
-    const regex = /<bookmark[^>]*href="([^"]+)"[^>]*modified="([^"]+)"[^>]*>([\s\S]*?<title>([^<]*)<\/title>)?/g;
-    const items = [];
-    const seenUris = new Set();
-
-    let match;
-    while ((match = regex.exec(text)) !== null) {
-      const uri = match[1];
-      const modified = match[2];
-      const titleMarkup = match[4] ?? '';
-
-      if (seenUris.has(uri)) {
-        continue;
-      }
-      seenUris.add(uri);
-
-      let timestamp = 0;
-      try {
-        const dateTime = GLib.DateTime.new_from_iso8601(modified, null);
-        if (dateTime) {
-          timestamp = dateTime.to_unix();
-        }
-      } catch (error) {
-        logError(error, `Failed to parse modified time for ${uri}`);
-      }
-
-      let title = titleMarkup.trim();
-      if (!title) {
-        const decodedUri = GLib.uri_unescape_string(uri, null) ?? uri;
-        if (decodedUri.startsWith('file://')) {
-          const filePath = decodedUri.substring('file://'.length);
-          title = GLib.path_get_basename(filePath);
-        } else {
-          title = decodedUri;
-        }
-      }
-
-      // Determine if this is a directory
-      let isDirectory = false;
-      if (uri.startsWith('file://')) {
-        try {
-          const filePath = uri.substring('file://'.length);
-          const file = Gio.File.new_for_path(filePath);
-          if (file.query_exists(null)) {
-            const fileInfo = file.query_info(
-              'standard::type',
-              Gio.FileQueryInfoFlags.NONE,
-              null
-            );
-            isDirectory = fileInfo.get_file_type() === Gio.FileType.DIRECTORY;
-          }
-        } catch (error) {
-          // If we can't determine, assume it's a file
-          isDirectory = false;
-        }
-      }
-
-      items.push({
-        title,
-        uri,
-        timestamp,
-        isDirectory,
-      });
-    }
-
-    items.sort((a, b) => b.timestamp - a.timestamp);
-
-    // No global cap; per-section limits are applied in _populateMenu
-    return items;
-  }
 });
@@ -0,0 +1,95 @@
+/*
+ * SPDX-License-Identifier: GPL-3.0-or-later
+ * screenSharing.js - Tracks whether the screen is being shared, recorded or
+ * remotely controlled.
+ */
+
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+import * as Signals from 'resource:///org/gnome/shell/misc/signals.js';
+
+// The sharing and recording indicators of the top bar. GNOME Shell keeps
+// them across the lock screen, so they know about sessions that started
+// while the extension was disabled.
+function findShellIndicators() {
+  const statusArea = Main.panel?.statusArea ?? {};
+  return [
+    statusArea.screenSharing,
+    statusArea.screenRecording,
+    statusArea.quickSettings?._remoteAccess?._indicator,
+  ].filter(Boolean);
+}
+
+/**
+ * Follows the screen cast and remote desktop sessions of mutter and emits
+ * `changed` when the first one starts or the last one stops. Sessions that
+ * were already running when the monitor was created are picked up from the
+ * top bar indicators and count until those hide.
+ */
+export class ScreenSharingMonitor extends Signals.EventEmitter {
+  constructor() {
+    super();
+
+    this._handles = new Map();
+    this._runningIndicators = new Map();
+    this._controller = global.backend.get_remote_access_controller?.() ?? null;
+    this._newHandleId =
+      this._controller?.connect('new-handle', (_controller, handle) => this._addHandle(handle)) ?? 0;
+
+    findShellIndicators()
+      .filter((indicator) => indicator.visible)
+      .forEach((indicator) => {
+        const visibleId = indicator.connect('notify::visible', () => {
+          if (!indicator.visible) {
+            this._removeIndicator(indicator);
+          }
+        });
+        this._runningIndicators.set(indicator, visibleId);
+      });
+  }
+
+  /**
+   * @returns {boolean} Whether any session is known to be active
+   */
+  get active() {
+    return this._handles.size > 0 || this._runningIndicators.size > 0;
+  }
+
+  destroy() {
+    if (this._newHandleId) {
+      this._controller.disconnect(this._newHandleId);
+      this._newHandleId = 0;
+    }
+
+    this._handles.forEach((stoppedId, handle) => handle.disconnect(stoppedId));
+    this._handles.clear();
+    this._runningIndicators.forEach((visibleId, indicator) => indicator.disconnect(visibleId));
+    this._runningIndicators.clear();
+    this._controller = null;
+  }
+
+  _addHandle(handle) {
+    const wasActive = this.active;
+    const stoppedId = handle.connect('stopped', () => {
+      handle.disconnect(stoppedId);
+      this._handles.delete(handle);
+      this._emitIfStopped();
+    });
+
+    this._handles.set(handle, stoppedId);
+    if (!wasActive) {
+      this.emit('changed');
+    }
+  }
+
+  _removeIndicator(indicator) {
+    indicator.disconnect(this._runningIndicators.get(indicator));
+    this._runningIndicators.delete(indicator);
+    this._emitIfStopped();
+  }
+
+  _emitIfStopped() {
+    if (!this.active) {
+      this.emit('changed');
+    }
+  }
+}
@@ -0,0 +1,281 @@
+/*
+ * SPDX-License-Identifier: GPL-3.0-or-later
+ * sessionActionDialog.js - Asks for confirmation before session actions.
+ */
+
+import Clutter from 'gi://Clutter';
+import GLib from 'gi://GLib';
+import GObject from 'gi://GObject';
+import St from 'gi://St';
+
+import * as Dialog from 'resource:///org/gnome/shell/ui/dialog.js';
+import * as ModalDialog from 'resource:///org/gnome/shell/ui/modalDialog.js';
+import { lookupApp } from './launcher.js';
+
+export const CONFIRM_ACTIONS_SETTING_KEY = 'confirm-actions';
+
+// Longest delay accepted by the custom schedule dialog: one week.
+const MAX_SCHEDULE_MINUTES = 7 * 24 * 60;
+
+// Like macOS, restart and shut down proceed on their own after a minute.
+const COUNTDOWN_SECONDS = 60;
+const COUNTDOWN_ACTIONS = new Set(['reboot', 'power-off']);
+
+function getActionStrings(action, extension) {
+  const _ = (text) => extension?.gettext(text) ?? text;
+  const ngettext = (singular, plural, count) =>
+    extension?.ngettext(singular, plural, count) ?? (count === 1 ? singular : plural);
+
+  switch (action) {
+    case 'suspend':
+      return {
+        title: _('Sleep'),
+        description: () => _('Do you want to put your computer to sleep now?'),
+        confirmLabel: _('Sleep'),
+      };
+    case 'hibernate':
+      return {
+        title: _('Hibernate'),
+        description: () => _('Do you want to hibernate your computer now?'),
+        confirmLabel: _('Hibernate'),
+      };
+    case 'hybrid-sleep':
+      return {
+        title: _('Hybrid Sleep'),
+        description: () => _('Do you want to put your computer into hybrid sleep now?'),
+        confirmLabel: _('Hybrid Sleep'),
+      };
+    case 'reboot':
+      return {
+        title: _('Restart'),
+        description: (seconds) =>
+          seconds > 0
+            ? ngettext(
+              'Are you sure you want to restart your computer now? It will restart automatically in %d second.',
+              'Are you sure you want to restart your computer now? It will restart automatically in %d seconds.',
+              seconds
+            ).format(seconds)
+            : _('Are you sure you want to restart your computer now?'),
+        confirmLabel: _('Restart'),
+      };
+    case 'power-off':
+      return {
+        title: _('Shut Down'),
+        description: (seconds) =>
+          seconds > 0
+            ? ngettext(
+              'Are you sure you want to shut down your computer now? It will shut down automatically in %d second.',
+              'Are you sure you want to shut down your computer now? It will shut down automatically in %d seconds.',
+              seconds
+            ).format(seconds)
+            : _('Are you sure you want to shut down your computer now?'),
+        confirmLabel: _('Shut Down'),
+      };
+    case 'logout':
+      return {
+        title: _('Log Out'),
+        description: () => _('Are you sure you want to quit all applications and log out now?'),
+        confirmLabel: _('Log Out'),
+      };
+    case 'lock':
+      return {
+        title: _('Lock Screen'),
+        description: () => _('Do you want to lock the screen now?'),
+        confirmLabel: _('Lock'),
+      };
+    default:
+      return null;
+  }
+}
+
+export const SessionActionDialog = GObject.registerClass(
+  class SessionActionDialog extends ModalDialog.ModalDialog {
+    _init(action, extension, onResponse, inhibitors = []) {
+      super._init({ styleClass: 'kiwi-session-action-dialog' });
+
+      const _ = (text) => extension?.gettext(text) ?? text;
+
+      this._onResponse = onResponse;
+      this._responded = false;
+      this._countdownId = 0;
+      this._strings = getActionStrings(action, extension);
+      // Never run out the clock on applications that asked to block.
+      this._secondsLeft =
+        COUNTDOWN_ACTIONS.has(action) && inhibitors.length === 0 ? COUNTDOWN_SECONDS : 0;
+
+      this._content = new Dialog.MessageDialogContent({ title: this._strings.title });
+      this.contentLayout.add_child(this._content);
+
+      if (inhibitors.length > 0) {
+        this._addInhibitorList(inhibitors, _);
+      }
+
+      this.setButtons([
+        {
+          label: _('Cancel'),
+          action: () => this._respond(false),
+          key: Clutter.KEY_Escape,
+        },
+        {
+          label: this._strings.confirmLabel,
+          action: () => this._respond(true),
+          default: true,
+        },
+      ]);
+
+      this._syncDescription();
+
+      if (this._secondsLeft > 0) {
+        this._countdownId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, 1, () => {
+          this._secondsLeft -= 1;
+          if (this._secondsLeft <= 0) {
+            this._countdownId = 0;
+            this._respond(true);
+            return GLib.SOURCE_REMOVE;
+          }
+
+          this._syncDescription();
+          return GLib.SOURCE_CONTINUE;
+        });
+      }
+
+      // Closing by other means (e.g. the screen locking) counts as cancel.
+      this.connect('closed', () => this._respond(false));
+      this.connect('destroy', () => this._stopCountdown());
+    }
+
+    _addInhibitorList(inhibitors, _) {
+      const section = new Dialog.ListSection({
+        title: _('Some applications are busy or have unsaved work'),
+      });
+
+      inhibitors.forEach(({ name, appId, reason }) => {
+        section.list.add_child(
+          new Dialog.ListSectionItem({
+            icon_actor: lookupApp(appId)?.create_icon_texture(32) ?? null,
+            title: name,
+            description: reason,
+          })
+        );
+      });
+
+      this.contentLayout.add_child(section);
+    }
+
+    _syncDescription() {
+      this._content.description = this._strings.description(this._secondsLeft);
+    }
+
+    _stopCountdown() {
+      if (this._countdownId) {
+        GLib.source_remove(this._countdownId);
+        this._countdownId = 0;
+      }
+    }
+
+    _respond(confirmed) {
+      if (this._responded) {
+        return;
+      }
+
+      this._responded = true;
+      this._stopCountdown();
+      this.close();
+      this._onResponse?.(confirmed);
+    }
+  }
+);
+
+/**
+ * Asks after how many minutes a scheduled session action should run.
+ */
+export const ScheduleDialog = GObject.registerClass(
+  class ScheduleDialog extends ModalDialog.ModalDialog {
+    _init(actionLabel, extension, onSchedule) {
+      super._init({ styleClass: 'kiwi-schedule-dialog' });
+
+      const _ = (text) => extension?.gettext(text) ?? text;
+      this._onSchedule = onSchedule;
+
+      this.contentLayout.add_child(
+        new Dialog.MessageDialogContent({
+          title: _('Schedule “%s”').format(actionLabel),
+          description: _('Run it after this many minutes:'),
+        })
+      );
+
+      this._entry = new St.Entry({
+        style_class: 'kiwi-schedule-entry',
+        hint_text: _('Minutes'),
+        can_focus: true,
+        x_expand: true,
+      });
+      this._entry.clutter_text.connect('activate', () => this._schedule());
+      this._entry.clutter_text.connect('text-changed', () => this._syncButton());
+      this.contentLayout.add_child(this._entry);
+      this.setInitialKeyFocus(this._entry);
+
+      this.addButton({
+        label: _('Cancel'),
+        action: () => this.close(),
+        key: Clutter.KEY_Escape,
+      });
+      this._scheduleButton = this.addButton({
+        label: _('Schedule'),
+        action: () => this._schedule(),
+        default: true,
+      });
+
+      this._syncButton();
+    }
+
+    _getMinutes() {
+      const text = this._entry.get_text().trim();
+      if (!/^\d+$/.test(text)) {
+        return null;
+      }
+
+      const minutes = Number.parseInt(text, 10);
+      return minutes > 0 && minutes <= MAX_SCHEDULE_MINUTES ? minutes : null;
+    }
+
+    _syncButton() {
+      this._scheduleButton.reactive = this._getMinutes() !== null;
+    }
+
+    _schedule() {
+      const minutes = this._getMinutes();
+      if (minutes === null) {
+        return;
+      }
+
+      this.close();
+      this._onSchedule?.(minutes);
+    }
+  }
+);
+
+/**
+ * Shows the confirmation dialog for a session action.
+ *
+ * @param {string} action - One of the session action ids
+ * @param {object} extension - The extension, used for translations
+ * @param {object} [options]
+ * @param {Array<object>} [options.inhibitors] - Applications blocking the
+ *   action, listed in the dialog
+ * @returns {Promise<boolean>} Whether the action was confirmed
+ */
+export function confirmSessionAction(action, extension, { inhibitors = [] } = {}) {
+  if (!getActionStrings(action, extension)) {
+    return Promise.resolve(true);
+  }
+
+  return new Promise((resolve) => {
+    const dialog = new SessionActionDialog(action, extension, resolve, inhibitors);
+    if (!dialog.open()) {
+      // Another modal grab is active; do not act behind the user's back.
+      dialog.destroy();
+      resolve(false);
+    }
+  });
+}
@@ -0,0 +1,291 @@
+/*
+ * SPDX-License-Identifier: GPL-3.0-or-later
+ * sessionActions.js - Runs session actions over logind, GNOME SessionManager
+ * and ScreenSaver D-Bus instead of spawning command line tools.
+ */
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+
+export const LOGIN1_SERVICE = {
+  bus: () => Gio.DBus.system,
+  name: 'org.freedesktop.login1',
+  path: '/org/freedesktop/login1',
+  interface: 'org.freedesktop.login1.Manager',
+};
+
+export const SESSION_MANAGER_SERVICE = {
+  bus: () => Gio.DBus.session,
+  name: 'org.gnome.SessionManager',
+  path: '/org/gnome/SessionManager',
+  interface: 'org.gnome.SessionManager',
+};
+
+const SCREENSAVER_SERVICE = {
+  bus: () => Gio.DBus.session,
+  name: 'org.gnome.ScreenSaver',
+  path: '/org/gnome/ScreenSaver',
+  interface: 'org.gnome.ScreenSaver',
+};
+
+// Logout mode 0 lets the session manager ask for confirmation, mode 1
+// skips that when Kiwi Menu already asked.
+const LOGOUT_MODE_NORMAL = 0;
+const LOGOUT_MODE_NO_CONFIRMATION = 1;
+
+const LOGIN1_ACTIONS = {
+  suspend: { check: 'CanSuspend', method: 'Suspend' },
+  hibernate: { check: 'CanHibernate', method: 'Hibernate' },
+  'hybrid-sleep': { check: 'CanHybridSleep', method: 'HybridSleep' },
+  reboot: { check: 'CanReboot', method: 'Reboot' },
+  'power-off': { check: 'CanPowerOff', method: 'PowerOff' },
+  // Restarts into another target arm logind first, then reboot.
+  'reboot-to-firmware': {
+    check: 'CanRebootToFirmwareSetup',
+    method: 'Reboot',
+    prepare: 'SetRebootToFirmwareSetup',
+    getPrepareParameters: (_options, enable) => new GLib.Variant('(b)', [enable]),
+  },
+  'reboot-to-boot-entry': {
+    check: 'CanRebootToBootLoaderEntry',
+    method: 'Reboot',
+    prepare: 'SetRebootToBootLoaderEntry',
+    getPrepareParameters: ({ bootEntry }, enable) =>
+      new GLib.Variant('(s)', [enable ? bootEntry : '']),
+  },
+};
+
+// Well-known entries systemd-boot adds on its own.
+const AUTO_BOOT_ENTRY_TITLES = {
+  'auto-windows': 'Windows Boot Manager',
+  'auto-osx': 'macOS',
+  'auto-efi-shell': 'EFI Shell',
+  'auto-efi-default': 'EFI Default Loader',
+};
+const FIRMWARE_BOOT_ENTRY = 'auto-reboot-to-firmware-setup';
+
+/**
+ * Returns the user visible name of a session action.
+ *
+ * @param {string} action - The session action id
+ * @param {Function} gettextFunc - Translation function
+ * @returns {string} The translated name
+ */
+export function getSessionActionLabel(action, gettextFunc) {
+  const _ = gettextFunc ?? ((text) => text);
+
+  switch (action) {
+    case 'suspend':
+      return _('Sleep');
+    case 'hibernate':
+      return _('Hibernate');
+    case 'hybrid-sleep':
+      return _('Hybrid Sleep');
+    case 'reboot':
+      return _('Restart');
+    case 'power-off':
+      return _('Shut Down');
+    case 'reboot-to-firmware':
+      return _('Restart Into Firmware Setup');
+    case 'reboot-to-boot-entry':
+      return _('Restart Into Boot Entry');
+    case 'logout':
+      return _('Log Out');
+    case 'lock':
+      return _('Lock Screen');
+    default:
+      return action;
+  }
+}
+
+/**
+ * Calls a D-Bus method asynchronously.
+ *
+ * @param {object} service - Bus, name, path and interface of the service
+ * @param {string} method - The method name
+ * @param {GLib.Variant|null} parameters - The method parameters
+ * @param {string|null} replyType - Expected reply signature
+ * @returns {Promise<GLib.Variant>} The reply
+ */
+export function callDBusMethod(service, method, parameters = null, replyType = null) {
+  return new Promise((resolve, reject) => {
+    service.bus().call(
+      service.name,
+      service.path,
+      service.interface,
+      method,
+      parameters,
+      replyType ? new GLib.VariantType(replyType) : null,
+      Gio.DBusCallFlags.NONE,
+      -1,
+      null,
+      (connection, result) => {
+        try {
+          resolve(connection.call_finish(result));
+        } catch (error) {
+          reject(error);
+        }
+      }
+    );
+  });
+}
+
+async function getLogin1Property(name) {
+  const reply = await callDBusMethod(
+    { ...LOGIN1_SERVICE, interface: 'org.freedesktop.DBus.Properties' },
+    'Get',
+    new GLib.Variant('(ss)', [LOGIN1_SERVICE.interface, name]),
+    '(v)'
+  );
+  const [value] = reply.recursiveUnpack();
+  return value;
+}
+
+/**
+ * Asks logind whether the current user may run a power action. Session
+ * actions that do not go through logind are always available.
+ *
+ * @param {string} action - The session action id
+ * @returns {Promise<boolean>} Whether the action can run
+ */
+export async function canRunSessionAction(action) {
+  const login1Action = LOGIN1_ACTIONS[action];
+  if (!login1Action) {
+    return true;
+  }
+
+  try {
+    const reply = await callDBusMethod(LOGIN1_SERVICE, login1Action.check, null, '(s)');
+    const [answer] = reply.deepUnpack();
+    // 'challenge' means polkit will ask for authentication.
+    return answer === 'yes' || answer === 'challenge';
+  } catch (error) {
+    logError(error, `Failed to query login1 ${login1Action.check}`);
+    return false;
+  }
+}
+
+/**
+ * Lists what the "Restart Into" submenu offers: the systemd-boot entries
+ * and the firmware setup, each only when logind supports it.
+ *
+ * @param {Function} gettextFunc - Translation function
+ * @returns {Promise<Array<object>>} Targets with action, title and, for boot
+ *   entries, bootEntry fields
+ */
+export async function listRestartTargets(gettextFunc) {
+  const _ = gettextFunc ?? ((text) => text);
+  const [canUseFirmware, canUseBootEntries] = await Promise.all([
+    canRunSessionAction('reboot-to-firmware'),
+    canRunSessionAction('reboot-to-boot-entry'),
+  ]);
+
+  const targets = [];
+
+  if (canUseBootEntries) {
+    try {
+      const entries = await getLogin1Property('BootLoaderEntries');
+      entries
+        .filter((entry) => entry !== FIRMWARE_BOOT_ENTRY)
+        .forEach((entry) => {
+          targets.push({
+            action: 'reboot-to-boot-entry',
+            bootEntry: entry,
+            title: AUTO_BOOT_ENTRY_TITLES[entry] ?? entry.replace(/\.conf$/, ''),
+          });
+        });
+    } catch (error) {
+      logError(error, 'Failed to read login1 BootLoaderEntries');
+    }
+  }
+
+  if (canUseFirmware) {
+    targets.push({ action: 'reboot-to-firmware', title: _('Firmware Setup') });
+  }
+
+  return targets;
+}
+
+/**
+ * Runs a session action, reporting failures as shell notifications.
+ *
+ * @param {string} action - The session action id
+ * @param {Function} gettextFunc - Translation function
+ * @param {object} [options]
+ * @param {string} [options.bootEntry] - Boot entry for reboot-to-boot-entry
+ * @param {boolean} [options.confirmed] - Whether the user already confirmed
+ *   the action in a Kiwi Menu dialog
+ */
+export async function runSessionAction(action, gettextFunc, options = {}) {
+  const _ = gettextFunc ?? ((text) => text);
+  const label = getSessionActionLabel(action, _);
+
+  try {
+    const login1Action = LOGIN1_ACTIONS[action];
+    if (login1Action) {
+      if (!(await canRunSessionAction(action))) {
+        notifySessionActionFailure(label, _('This action is not available on this system.'));
+        return;
+      }
+
+      if (login1Action.prepare) {
+        await callDBusMethod(
+          LOGIN1_SERVICE,
+          login1Action.prepare,
+          login1Action.getPrepareParameters(options, true)
+        );
+      }
+
+      try {
+        // interactive=true lets polkit ask for authentication when needed.
+        await callDBusMethod(LOGIN1_SERVICE, login1Action.method, new GLib.Variant('(b)', [true]));
+      } catch (error) {
+        // Do not leave the next regular restart pointed at another target.
+        if (login1Action.prepare) {
+          callDBusMethod(
+            LOGIN1_SERVICE,
+            login1Action.prepare,
+            login1Action.getPrepareParameters(options, false)
+          ).catch((resetError) => logError(resetError, `Failed to reset ${login1Action.prepare}`));
+        }
+        throw error;
+      }
+      return;
+    }
+
+    switch (action) {
+      case 'logout':
+        await callDBusMethod(
+          SESSION_MANAGER_SERVICE,
+          'Logout',
+          new GLib.Variant('(u)', [options.confirmed ? LOGOUT_MODE_NO_CONFIRMATION : LOGOUT_MODE_NORMAL])
+        );
+        break;
+      case 'lock':
+        await callDBusMethod(SCREENSAVER_SERVICE, 'Lock');
+        break;
+      default:
+        log(`Kiwi Menu: unknown session action ${action}`);
+    }
+  } catch (error) {
+    if (error.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) {
+      return;
+    }
+
+    logError(error, `Failed to run session action: ${action}`);
+    if (error instanceof GLib.Error) {
+      Gio.DBusError.strip_remote_error(error);
+    }
+    notifySessionActionFailure(label, error.message);
+  }
+}
+
+function notifySessionActionFailure(label, message) {
+  try {
+    Main.notifyError(label, message);
+  } catch (error) {
+    logError(error, 'Failed to display Kiwi Menu notification');
+  }
+}
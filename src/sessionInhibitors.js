@@ -0,0 +1,115 @@
+/*
+ * SPDX-License-Identifier: GPL-3.0-or-later
+ * sessionInhibitors.js - Lists applications blocking sleep, shutdown or
+ * logout through logind and the GNOME session manager.
+ */
+
+import { lookupApp } from './launcher.js';
+import { LOGIN1_SERVICE, SESSION_MANAGER_SERVICE, callDBusMethod } from './sessionActions.js';
+
+// GsmInhibitorFlag values of org.gnome.SessionManager.Inhibit().
+const SESSION_INHIBIT_LOGOUT = 1 << 0;
+const SESSION_INHIBIT_SUSPEND = 1 << 2;
+
+const SLEEP_ACTIONS = ['suspend', 'hibernate', 'hybrid-sleep'];
+const SHUTDOWN_ACTIONS = ['reboot', 'power-off', 'reboot-to-firmware', 'reboot-to-boot-entry'];
+
+async function listLogin1Inhibitors() {
+  const reply = await callDBusMethod(LOGIN1_SERVICE, 'ListInhibitors', null, '(a(ssssuu))');
+  const [inhibitors] = reply.deepUnpack();
+
+  return inhibitors
+    // Delay inhibitors only postpone the action for a moment.
+    .filter(([, , , mode]) => mode === 'block')
+    .map(([what, who, why]) => {
+      const blocked = what.split(':');
+      const actions = [];
+      if (blocked.includes('sleep')) {
+        actions.push(...SLEEP_ACTIONS);
+      }
+      if (blocked.includes('shutdown')) {
+        actions.push(...SHUTDOWN_ACTIONS);
+      }
+
+      return { name: who, appId: null, reason: why, actions };
+    })
+    .filter(({ actions }) => actions.length > 0);
+}
+
+async function readSessionInhibitor(path) {
+  const service = {
+    ...SESSION_MANAGER_SERVICE,
+    path,
+    interface: 'org.gnome.SessionManager.Inhibitor',
+  };
+
+  const [appIdReply, reasonReply, flagsReply] = await Promise.all([
+    callDBusMethod(service, 'GetAppId', null, '(s)'),
+    callDBusMethod(service, 'GetReason', null, '(s)'),
+    callDBusMethod(service, 'GetFlags', null, '(u)'),
+  ]);
+  const [appId] = appIdReply.deepUnpack();
+  const [reason] = reasonReply.deepUnpack();
+  const [flags] = flagsReply.deepUnpack();
+
+  const actions = [];
+  if (flags & SESSION_INHIBIT_SUSPEND) {
+    actions.push(...SLEEP_ACTIONS);
+  }
+  if (flags & SESSION_INHIBIT_LOGOUT) {
+    // Restarting or shutting down ends the session as well.
+    actions.push('logout', ...SHUTDOWN_ACTIONS);
+  }
+
+  const app = lookupApp(appId);
+  return { name: app?.get_name() ?? appId, appId: app ? app.get_id() : null, reason, actions };
+}
+
+async function listSessionManagerInhibitors() {
+  const reply = await callDBusMethod(SESSION_MANAGER_SERVICE, 'GetInhibitors', null, '(ao)');
+  const [paths] = reply.deepUnpack();
+  const inhibitors = await Promise.all(
+    paths.map((path) =>
+      readSessionInhibitor(path).catch((error) => {
+        // Inhibitors can go away between listing and reading them.
+        logError(error, `Failed to read session inhibitor ${path}`);
+        return null;
+      })
+    )
+  );
+
+  return inhibitors.filter((inhibitor) => inhibitor && inhibitor.actions.length > 0);
+}
+
+/**
+ * Lists the active inhibitors of logind and the GNOME session manager.
+ * Either source failing only drops its own entries.
+ *
+ * @returns {Promise<Array<object>>} Inhibitors with name, appId, reason and
+ *   the session actions they block
+ */
+export async function listSessionInhibitors() {
+  const sources = await Promise.all([
+    listLogin1Inhibitors().catch((error) => {
+      logError(error, 'Failed to list login1 inhibitors');
+      return [];
+    }),
+    listSessionManagerInhibitors().catch((error) => {
+      logError(error, 'Failed to list session manager inhibitors');
+      return [];
+    }),
+  ]);
+
+  return sources.flat();
+}
+
+/**
+ * Filters inhibitors down to the ones blocking a session action.
+ *
+ * @param {Array<object>} inhibitors - As returned by listSessionInhibitors()
+ * @param {string} action - The session action id
+ * @returns {Array<object>} The blocking inhibitors
+ */
+export function getInhibitorsForAction(inhibitors, action) {
+  return (inhibitors ?? []).filter(({ actions }) => actions.includes(action));
+}
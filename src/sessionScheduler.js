@@ -0,0 +1,141 @@
+/*
+ * SPDX-License-Identifier: GPL-3.0-or-later
+ * sessionScheduler.js - Runs a session action at a later time. The pending
+ * action and its deadline live in settings so they survive the extension
+ * being disabled and enabled again.
+ */
+
+import GLib from 'gi://GLib';
+
+import * as Signals from 'resource:///org/gnome/shell/misc/signals.js';
+import { SESSION_ACTIONS } from './menuLayout.js';
+
+export const SCHEDULED_ACTION_KEY = 'scheduled-action';
+export const SCHEDULED_DEADLINE_KEY = 'scheduled-action-deadline';
+
+function getCurrentTimeSeconds() {
+  return Math.floor(GLib.get_real_time() / GLib.USEC_PER_SEC);
+}
+
+/**
+ * Formats the remaining time of a schedule as `m:ss` or `h:mm:ss`.
+ *
+ * @param {number} seconds - Remaining seconds
+ * @returns {string} The formatted countdown
+ */
+export function formatCountdown(seconds) {
+  const total = Math.max(0, Math.ceil(seconds));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = `${total % 60}`.padStart(2, '0');
+
+  return hours > 0
+    ? `${hours}:${`${minutes}`.padStart(2, '0')}:${secs}`
+    : `${minutes}:${secs}`;
+}
+
+/**
+ * Emits `changed` when a schedule is set or cleared, `tick` every second
+ * while one is pending and `due` with the action and how many seconds it is
+ * overdue once the deadline passes.
+ */
+export class SessionScheduler extends Signals.EventEmitter {
+  constructor(settings) {
+    super();
+
+    this._settings = settings;
+    this._tickId = 0;
+    this._settingsSignalIds = [SCHEDULED_ACTION_KEY, SCHEDULED_DEADLINE_KEY].map((key) =>
+      this._settings.connect(`changed::${key}`, () => this._sync())
+    );
+  }
+
+  /**
+   * Starts ticking for a schedule left over from a previous session. Call
+   * once listeners are connected, an overdue action fires right away.
+   */
+  start() {
+    this._sync();
+  }
+
+  /**
+   * @returns {{action: string, deadline: number}|null} The pending schedule
+   */
+  get pending() {
+    const action = this._settings?.get_string(SCHEDULED_ACTION_KEY) ?? '';
+    if (!SESSION_ACTIONS.includes(action)) {
+      return null;
+    }
+
+    return { action, deadline: this._settings.get_int64(SCHEDULED_DEADLINE_KEY) };
+  }
+
+  getSecondsLeft() {
+    const pending = this.pending;
+    return pending ? pending.deadline - getCurrentTimeSeconds() : 0;
+  }
+
+  schedule(action, delaySeconds) {
+    this._settings.set_int64(SCHEDULED_DEADLINE_KEY, getCurrentTimeSeconds() + delaySeconds);
+    this._settings.set_string(SCHEDULED_ACTION_KEY, action);
+  }
+
+  cancel() {
+    this._settings.reset(SCHEDULED_ACTION_KEY);
+    this._settings.reset(SCHEDULED_DEADLINE_KEY);
+  }
+
+  destroy() {
+    this._stopTicking();
+    this._settingsSignalIds.forEach((id) => this._settings.disconnect(id));
+    this._settingsSignalIds = [];
+    this._settings = null;
+  }
+
+  _sync() {
+    if (this.pending) {
+      this._startTicking();
+    } else {
+      this._stopTicking();
+    }
+
+    this.emit('changed');
+    this._tick();
+  }
+
+  _startTicking() {
+    if (this._tickId) {
+      return;
+    }
+
+    this._tickId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, 1, () => {
+      this._tick();
+      return this._tickId ? GLib.SOURCE_CONTINUE : GLib.SOURCE_REMOVE;
+    });
+  }
+
+  _stopTicking() {
+    if (this._tickId) {
+      GLib.source_remove(this._tickId);
+      this._tickId = 0;
+    }
+  }
+
+  _tick() {
+    const pending = this.pending;
+    if (!pending) {
+      return;
+    }
+
+    const secondsLeft = pending.deadline - getCurrentTimeSeconds();
+    if (secondsLeft > 0) {
+      this.emit('tick', secondsLeft);
+      return;
+    }
+
+    // Clear first so the action never fires twice.
+    this._stopTicking();
+    this.cancel();
+    this.emit('due', pending.action, -secondsLeft);
+  }
+}
@@ -0,0 +1,233 @@
+/*
+ * SPDX-License-Identifier: GPL-3.0-or-later
+ * xbel.js - Reads and edits the recently used files list (recently-used.xbel).
+ *
+ * Parsing goes through GLib.BookmarkFile, the XBEL reader GtkRecentManager
+ * itself is built on, so attribute order, entities, applications and the
+ * private flag are handled like GTK does.
+ */
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+export const RECENT_ITEMS_FILE = GLib.build_filenamev([
+  GLib.get_user_data_dir(),
+  'recently-used.xbel',
+]);
+
+const DIRECTORY_MIME_TYPE = 'inode/directory';
+
+function toUnixTime(dateTime) {
+  return dateTime ? dateTime.to_unix() : 0;
+}
+
+function callOrDefault(func, fallback) {
+  try {
+    return func() ?? fallback;
+  } catch (_error) {
+    // GLib.BookmarkFile reports unset fields as errors.
+    return fallback;
+  }
+}
+
+function parseLocation(uri) {
+  try {
+    const parsed = GLib.Uri.parse(uri, GLib.UriFlags.NONE);
+    return { scheme: parsed.get_scheme(), host: parsed.get_host(), path: parsed.get_path() };
+  } catch (_error) {
+    // Paths that are not valid UTF-8 once unescaped.
+    return { scheme: GLib.uri_parse_scheme(uri) ?? '', host: null, path: '' };
+  }
+}
+
+function getDisplayName(uri, { scheme, host, path }) {
+  if (scheme === 'file') {
+    const filename = Gio.File.new_for_uri(uri).get_path();
+    if (filename) {
+      return GLib.filename_display_basename(filename);
+    }
+  } else if (host) {
+    // The share or folder name, or the server itself for its root.
+    const name = path.split('/').filter(Boolean).pop();
+    return name ?? host;
+  }
+
+  return GLib.uri_unescape_string(uri, null) ?? uri;
+}
+
+function readApplications(bookmarks, uri) {
+  const names = callOrDefault(() => bookmarks.get_applications(uri), []);
+
+  return names
+    .map((name) => {
+      const [, exec, count, stamp] = callOrDefault(
+        () => bookmarks.get_application_info(uri, name),
+        [false, '', 0, null]
+      );
+      return { name, exec: exec ?? '', count: count ?? 0, stamp: toUnixTime(stamp) };
+    })
+    .sort((a, b) => b.stamp - a.stamp);
+}
+
+function readItem(bookmarks, uri) {
+  const mimeType = callOrDefault(() => bookmarks.get_mime_type(uri), '');
+  const modified = toUnixTime(callOrDefault(() => bookmarks.get_modified_date_time(uri), null));
+  const visited = toUnixTime(callOrDefault(() => bookmarks.get_visited_date_time(uri), null));
+  const applications = readApplications(bookmarks, uri);
+  const location = parseLocation(uri);
+
+  return {
+    uri,
+    title: callOrDefault(() => bookmarks.get_title(uri), '').trim() || getDisplayName(uri, location),
+    mimeType,
+    isDirectory: mimeType === DIRECTORY_MIME_TYPE,
+    isPrivate: callOrDefault(() => bookmarks.get_is_private(uri), false),
+    isRemote: location.scheme !== 'file',
+    scheme: location.scheme,
+    host: location.host,
+    path: location.path,
+    added: toUnixTime(callOrDefault(() => bookmarks.get_added_date_time(uri), null)),
+    modified,
+    visited,
+    // Most recent use, whichever application registered it.
+    timestamp: Math.max(modified, visited, ...applications.map(({ stamp }) => stamp)),
+    applications,
+    lastApplication: applications[0]?.name ?? null,
+  };
+}
+
+/**
+ * Describes a URI that is not, or no longer, in the recent items list, so it
+ * can be shown like one.
+ *
+ * @param {string} uri - The URI
+ * @returns {object} An item as returned by parseRecentItems(), without
+ *   type or usage details
+ */
+export function createItemForUri(uri) {
+  const location = parseLocation(uri);
+
+  return {
+    uri,
+    title: getDisplayName(uri, location),
+    mimeType: '',
+    isDirectory: false,
+    isPrivate: false,
+    isRemote: location.scheme !== 'file',
+    scheme: location.scheme,
+    host: location.host,
+    path: location.path,
+    added: 0,
+    modified: 0,
+    visited: 0,
+    timestamp: 0,
+    applications: [],
+    lastApplication: null,
+  };
+}
+
+/**
+ * Parses XBEL data into recent items, newest first. Private items belong
+ * to the application that registered them and are left out, like
+ * GtkRecentManager does for other applications.
+ *
+ * @param {Uint8Array} contents - The raw file contents
+ * @returns {Array<object>} Items with uri, title, mimeType, isDirectory,
+ *   isRemote, scheme, host, path, added, modified, visited, timestamp,
+ *   applications and lastApplication
+ */
+export function parseRecentItems(contents) {
+  const bookmarks = new GLib.BookmarkFile();
+  bookmarks.load_from_data(contents);
+
+  return bookmarks
+    .get_uris()
+    .map((uri) => readItem(bookmarks, uri))
+    .filter((item) => !item.isPrivate)
+    .sort((a, b) => b.timestamp - a.timestamp);
+}
+
+/**
+ * Reads and parses the recent items of the user without blocking.
+ *
+ * @param {string} [path] - The XBEL file to read
+ * @param {Gio.Cancellable|null} [cancellable] - Cancels the read
+ * @returns {Promise<Array<object>>} The recent items, see parseRecentItems().
+ *   A missing file yields an empty list.
+ */
+export function loadRecentItems(path = RECENT_ITEMS_FILE, cancellable = null) {
+  return new Promise((resolve, reject) => {
+    Gio.File.new_for_path(path).load_contents_async(cancellable, (file, result) => {
+      try {
+        const [, contents] = file.load_contents_finish(result);
+        resolve(parseRecentItems(contents));
+      } catch (error) {
+        if (error.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND)) {
+          resolve([]);
+        } else {
+          reject(error);
+        }
+      }
+    });
+  });
+}
+
+/**
+ * Edits the recent items in place. The file goes through GLib.BookmarkFile
+ * both ways, so the applications, groups and flags of other entries stay
+ * as they were.
+ *
+ * @param {Function} edit - Called with the GLib.BookmarkFile, returns
+ *   whether it changed anything
+ * @param {string} [path] - The XBEL file to edit
+ * @returns {Promise<boolean>} Whether the file was written
+ */
+export function editRecentItems(edit, path = RECENT_ITEMS_FILE) {
+  return new Promise((resolve, reject) => {
+    Gio.File.new_for_path(path).load_contents_async(null, (file, loadResult) => {
+      try {
+        const [, contents] = file.load_contents_finish(loadResult);
+        const bookmarks = new GLib.BookmarkFile();
+        bookmarks.load_from_data(contents);
+
+        if (!edit(bookmarks)) {
+          resolve(false);
+          return;
+        }
+
+        file.replace_contents_bytes_async(
+          new GLib.Bytes(bookmarks.to_data()),
+          null,
+          false,
+          Gio.FileCreateFlags.NONE,
+          null,
+          (_file, replaceResult) => {
+            try {
+              file.replace_contents_finish(replaceResult);
+              resolve(true);
+            } catch (error) {
+              reject(error);
+            }
+          }
+        );
+      } catch (error) {
+        reject(error);
+      }
+    });
+  });
+}
+
+/**
+ * Removes entries from the recent items.
+ *
+ * @param {Array<string>} uris - The URIs to forget
+ * @param {string} [path] - The XBEL file to edit
+ * @returns {Promise<boolean>} Whether the file was written
+ */
+export function removeRecentItems(uris, path = RECENT_ITEMS_FILE) {
+  return editRecentItems((bookmarks) => {
+    const present = uris.filter((uri) => bookmarks.has_item(uri));
+    present.forEach((uri) => bookmarks.remove_item(uri));
+    return present.length > 0;
+  }, path);
+}